@@ -18,25 +18,43 @@ class TidalJS {
     constructor() {
         this.audioContext = null;
         this.cps = 0.8; // cycles per second (tempo)
-        this.startTime = 0; // when audio started
+        this.startTime = 0; // audio time of the tempo anchor
+        this.startCycle = 0; // cycle position at the tempo anchor
         this.channels = new Map(); // active pattern channels
         this.isPlaying = false; // global play state
         this.samples = new Map(); // sample definitions
+        this.scales = new Map(); // scale and mode intervals
+        this.chords = new Map(); // chord quality intervals
         this.channelCounter = 0; // unique channel IDs
         this.masterGain = null; // master volume control
         this.currentCycle = 0; // current cycle number
-        this.lastScheduledTime = 0; // timing reference
+        this.scheduler = null; // look-ahead scheduler timer
+        this.scheduledUntil = null; // cycle position events have been scheduled up to
+        this.lookahead = 0.1; // seconds of audio scheduled ahead of time
+        this.schedulerInterval = 25; // milliseconds between scheduler ticks
         this.impulseCache = new Map(); // cached reverb impulses
+        this.notationCache = new Map(); // compiled mini-notation patterns
+        this.sampleBanks = new Map(); // loaded sample banks: name -> decoded files
+        this.reversedBuffers = new WeakMap(); // reversed copies of sample buffers
+        this.cutGroups = new Map(); // last sound started in each cut group
+        this.orbits = new Map(); // shared reverb and delay buses of each orbit
+        this.evalSlots = null; // slots played by the code being evaluated
+        this.statementSlots = new Map(); // code of the unnamed statement playing in each slot
+        this.randomSeed = 0; // mixed into all random functions (see seed())
+        this.chooseCount = 0; // choose() calls in the current evaluation
         
         this.initSamples();
+        this.initScales();
+        this.initChords();
     }
     
     /**
      * Creates a deep copy of an object to prevent mutation bugs
-     * Handles dates, arrays, and nested objects properly
+     * Handles dates, arrays, and nested objects properly; Fractions are immutable and shared
      */
     deepClone(obj) {
         if (obj === null || typeof obj !== 'object') return obj;
+        if (obj instanceof Fraction) return obj;
         if (obj instanceof Date) return new Date(obj.getTime());
         if (Array.isArray(obj)) return obj.map(item => this.deepClone(item));
         
@@ -49,6 +67,63 @@ class TidalJS {
         return cloned;
     }
     
+    // RANDOMNESS
+    
+    /**
+     * Returns a pseudo-random number in [0, 1) determined by a cycle position, like Tidal's rand
+     * The same time, offset and seed always give the same number
+     */
+    timeToRand(time, offset = 0) {
+        const t = (Number(time) + offset) / 300;
+        let x = Math.trunc((t - Math.floor(t)) * 536870912);
+        
+        // The seed scrambles the starting state, so each seed gives its own stream rather than a shifted one
+        if (this.randomSeed) {
+            let h = Math.imul(Math.floor(this.randomSeed * 7919) ^ 0x5BD1E995, 0x45D9F3B);
+            h ^= h >>> 16;
+            x = Math.imul(x ^ h, 0x9E3779B1) >>> 3;
+        }
+        
+        // xorshift scrambles neighbouring positions into unrelated numbers
+        x ^= x << 13;
+        x ^= x >> 17;
+        x ^= x << 5;
+        return (((x % 536870912) + 536870912) % 536870912) / 536870912;
+    }
+    
+    /**
+     * Creates a seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+     * Used to fill noise buffers, so synthesized sounds are the same on every run
+     */
+    createRandom(seed) {
+        let state = (seed + Math.floor(this.randomSeed * 7919)) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Sets the seed of all random functions, so a set can be rehearsed with the same decisions
+     */
+    seed(value) {
+        if (this.validateType(value, 'number', 'seed')) {
+            this.randomSeed = value;
+            this.impulseCache.clear();
+            
+            // Orbit reverbs are rebuilt from impulses of the new seed the next time they play
+            for (const orbit of this.orbits.values()) {
+                for (const { convolver } of orbit.reverbs.values()) {
+                    convolver.disconnect();
+                }
+                orbit.reverbs.clear();
+            }
+        }
+    }
+    
     /**
      * Validates parameter types and logs warnings for incorrect usage
      * Returns true if type matches, false otherwise
@@ -64,7 +139,7 @@ class TidalJS {
     
     /**
      * Converts note names to MIDI note numbers
-     * Supports formats like: c, c4, c#, cs, db, etc.
+     * Supports formats like: c, c4, c#, cs, db, etc.; names without an octave are in octave 5, like Tidal
      * Returns 60 (middle C) as fallback for invalid notes
      */
     noteToMidi(noteName) {
@@ -85,7 +160,7 @@ class TidalJS {
         }
         
         const notePart = match[1];
-        const octave = match[2] ? Math.max(0, Math.min(9, parseInt(match[2]))) : 4;
+        const octave = match[2] ? Math.max(0, Math.min(9, parseInt(match[2]))) : 5;
         
         const noteValue = noteMap[notePart];
         if (noteValue === undefined) {
@@ -106,14 +181,189 @@ class TidalJS {
         return 440 * Math.pow(2, (validMidi - 69) / 12);
     }
     
+    /**
+     * Reads a scale name like "c:minor", "d dorian", "eb4:majPent" or just "minor"
+     * Roots without an octave sit in octave 5, like note names; returns null for unknown scales
+     */
+    parseScale(name) {
+        if (typeof name !== 'string') return null;
+        
+        const match = name.trim().toLowerCase().match(/^(?:([a-g][sb#]?\d*)[:\s]+)?([a-z][\w\s-]*)$/);
+        if (!match) return null;
+        
+        const intervals = this.scales.get(match[2].replace(/[^a-z0-9]/g, ''));
+        if (!intervals) return null;
+        
+        const root = match[1] ? this.noteToMidi(match[1]) : 60;
+        return { root, intervals };
+    }
+    
+    /**
+     * Converts a scale degree to a MIDI note
+     * Degrees past either end of the scale wrap into the octaves above or below
+     */
+    scaleDegreeToMidi(degree, scale) {
+        const value = Math.floor(parseFloat(degree));
+        if (isNaN(value)) return degree;
+        
+        const steps = scale.intervals.length;
+        const octave = Math.floor(value / steps);
+        return scale.root + octave * 12 + scale.intervals[value - octave * steps];
+    }
+    
+    /**
+     * Reads a chord symbol into a root, intervals and voicing modifiers
+     * Takes jazz symbols ("Cm7", "Bbmaj7", "F#m7b5") and Tidal's "e4'min7'ii" form, whose
+     * modifiers are a note count, i per inversion, o for open and d2 for drop 2
+     */
+    parseChord(symbol) {
+        if (typeof symbol !== 'string') return null;
+        
+        let rootName, quality, modifiers = [];
+        if (symbol.includes("'")) {
+            [rootName, quality = 'major', ...modifiers] = symbol.split("'");
+        } else {
+            const match = symbol.match(/^([a-g][#b]?)(.*)$/i);
+            if (!match) return null;
+            [, rootName, quality] = match;
+        }
+        
+        const intervals = this.chords.get(quality) || this.chords.get(quality.toLowerCase());
+        if (!intervals || !/^[a-g][sb#]?\d*$/i.test(rootName)) return null;
+        
+        const root = this.noteToMidi(rootName);
+        const voicing = {};
+        for (const modifier of modifiers) {
+            if (/^\d+$/.test(modifier)) {
+                voicing.notes = parseInt(modifier);
+            } else if (/^i+$/.test(modifier)) {
+                voicing.inversion = modifier.length;
+            } else if (modifier === 'o') {
+                voicing.open = true;
+            } else if (/^d\d*$/.test(modifier)) {
+                voicing.drop = parseInt(modifier.slice(1)) || 1;
+            }
+        }
+        return { root, intervals, voicing };
+    }
+    
+    /**
+     * Builds a chord from a list of note names, e.g. the stacked notes of note("c,e,g")
+     */
+    chordFromNotes(names) {
+        const notes = names
+            .filter(name => typeof name === 'string' && /^[a-g][sb#]?\d*$/i.test(name))
+            .map(name => this.noteToMidi(name));
+        if (notes.length === 0) return null;
+        return { root: notes[0], intervals: notes.map(note => note - notes[0]), voicing: {} };
+    }
+    
+    /**
+     * Turns a parsed chord into MIDI notes, lowest first
+     * Applies the note count, inversion, open and drop voicings, then fits the chord in a
+     * range (low..high) by picking the inversion and octave whose middle is nearest the range's
+     */
+    voiceChord(chord, options = {}) {
+        const voicing = { ...chord.voicing, ...options, inversion: (chord.voicing.inversion ?? 0) + (options.inversion ?? 0) };
+        let notes = chord.intervals.map(interval => chord.root + interval);
+        
+        // A note count stacks the chord's notes into further octaves
+        if (voicing.notes > 0) {
+            const base = notes;
+            notes = Array.from({ length: voicing.notes }, (_, i) =>
+                base[i % base.length] + 12 * Math.floor(i / base.length)
+            );
+        }
+        
+        notes = this.invertChord(notes, voicing.inversion);
+        
+        // Open voicing drops the first and third notes an octave
+        if (voicing.open && notes.length > 2) {
+            notes = [notes[0] - 12, notes[2] - 12, ...notes.filter((_, i) => i !== 0 && i !== 2)];
+        }
+        
+        // Drop n moves the nth note from the top down an octave
+        if (voicing.drop > 0 && voicing.drop <= notes.length) {
+            const index = notes.length - voicing.drop;
+            notes = [notes[index] - 12, ...notes.filter((_, i) => i !== index)];
+        }
+        
+        notes.sort((a, b) => a - b);
+        return voicing.range ? this.fitChord(notes, voicing.range[0], voicing.range[1]) : notes;
+    }
+    
+    /**
+     * Moves the lowest note up an octave per inversion; negative inversions move the top down
+     */
+    invertChord(notes, inversion = 0) {
+        let result = [...notes].sort((a, b) => a - b);
+        for (let i = 0; i < Math.abs(inversion); i++) {
+            if (inversion > 0) {
+                result = [...result.slice(1), result[0] + 12];
+            } else {
+                result = [result[result.length - 1] - 12, ...result.slice(0, -1)];
+            }
+            result.sort((a, b) => a - b);
+        }
+        return result;
+    }
+    
+    /**
+     * Picks the inversion and octave of a chord that fits low..high with its middle nearest
+     * the middle of the range; when none fits, each note is folded into the range on its own
+     */
+    fitChord(notes, low, high) {
+        const centre = (low + high) / 2;
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (let inversion = 0; inversion < notes.length; inversion++) {
+            const inverted = this.invertChord(notes, inversion);
+            const middle = (inverted[0] + inverted[inverted.length - 1]) / 2;
+            const shifted = inverted.map(note => note + 12 * Math.round((centre - middle) / 12));
+            
+            for (const octave of [-12, 0, 12]) {
+                const candidate = shifted.map(note => note + octave);
+                const distance = Math.abs((candidate[0] + candidate[candidate.length - 1]) / 2 - centre);
+                if (candidate[0] >= low && candidate[candidate.length - 1] <= high && distance < bestDistance) {
+                    best = candidate;
+                    bestDistance = distance;
+                }
+            }
+        }
+        
+        if (best) return best;
+        
+        const folded = notes.map(note => {
+            let value = note;
+            while (value < low) value += 12;
+            while (value > high && value - 12 >= low) value -= 12;
+            return value;
+        });
+        return Array.from(new Set(folded)).sort((a, b) => a - b);
+    }
+    
     /**
      * Calculates the current cycle number based on elapsed time
      * Used for timing-dependent functions like every() and whenmod()
      */
     getCurrentCycle() {
         if (!this.audioContext || !this.isPlaying) return 0;
-        const elapsed = this.audioContext.currentTime - this.startTime;
-        return Math.floor(elapsed * this.cps);
+        return Math.floor(this.timeToCycle(this.audioContext.currentTime));
+    }
+    
+    /**
+     * Converts an audio context time to a cycle position at the current tempo
+     */
+    timeToCycle(time) {
+        return this.startCycle + (time - this.startTime) * this.cps;
+    }
+    
+    /**
+     * Converts a cycle position to an audio context time at the current tempo
+     */
+    cycleToTime(cycle) {
+        return this.startTime + (cycle - this.startCycle) / this.cps;
     }
     
     /**
@@ -134,9 +384,9 @@ class TidalJS {
             this.masterGain = this.audioContext.createGain();
             this.masterGain.connect(this.audioContext.destination);
             this.masterGain.gain.setValueAtTime(0.7, this.audioContext.currentTime);
+            this.orbits.clear();
             
             this.startTime = this.audioContext.currentTime;
-            this.lastScheduledTime = this.startTime;
             this.isPlaying = true;
             
             this.setupGlobalFunctions();
@@ -168,31 +418,42 @@ class TidalJS {
             }
         };
         
+        // Plays a pattern in a named slot, swapping it in place if the slot is playing
+        window.p = (name, pattern) => this.p(name, pattern);
+        
+        // Numbered slots d1 to d16, as in Tidal
+        for (let i = 1; i <= 16; i++) {
+            window[`d${i}`] = (pattern) => this.p(`d${i}`, pattern);
+        }
+        
+        // Transitions from a slot's playing pattern to a new one
+        window.xfadeIn = (name, cycles, pattern) => this.xfadeIn(name, cycles, pattern);
+        window.xfade = (name, pattern) => this.xfade(name, pattern);
+        window.jumpIn = (name, cycles, pattern) => this.jumpIn(name, cycles, pattern);
+        window.anticipateIn = (name, cycles, pattern) => this.anticipateIn(name, cycles, pattern);
+        window.anticipate = (name, pattern) => this.anticipate(name, pattern);
+        window.clutchIn = (name, cycles, pattern) => this.clutchIn(name, cycles, pattern);
+        window.clutch = (name, pattern) => this.clutch(name, pattern);
+        
         // Layers multiple patterns simultaneously
-        window.stack = (patterns) => {
+        window.stack = (...args) => {
             try {
-                if (!Array.isArray(patterns)) {
-                    patterns = Array.from(arguments);
-                }
+                // Takes an array of patterns or the patterns as separate arguments
+                const patterns = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
                 
                 const builder = new PatternBuilder(this);
                 builder.channelId = this.channelCounter++;
                 
-                const allEvents = [];
-                
-                for (const pattern of patterns) {
-                    if (pattern instanceof PatternBuilder) {
-                        const processedEvents = pattern.applyTransforms();
-                        allEvents.push(...this.deepClone(processedEvents));
-                    } else if (typeof pattern === 'string') {
-                        const events = this.parseMiniNotation(pattern);
-                        allEvents.push(...this.deepClone(events));
-                    } else {
-                        console.warn('Invalid pattern type in stack:', typeof pattern);
+                const layers = patterns.filter(pattern => {
+                    if (pattern instanceof PatternBuilder || typeof pattern === 'string') {
+                        return true;
                     }
-                }
+                    console.warn('Invalid pattern type in stack:', typeof pattern);
+                    return false;
+                });
                 
-                builder.pattern = allEvents;
+                // Each layer keeps its own timeline, so a 2-cycle layer and a 3-cycle layer run against each other
+                builder.pattern = Pattern.stack(layers.map(layer => builder.toPattern(layer)));
                 return builder;
             } catch (error) {
                 console.error('Error in stack():', error);
@@ -201,11 +462,10 @@ class TidalJS {
         };
         
         // Concatenates patterns sequentially in time
-        window.cat = (patterns) => {
+        window.cat = (...args) => {
             try {
-                if (!Array.isArray(patterns)) {
-                    patterns = Array.from(arguments);
-                }
+                // Takes an array of patterns or the patterns as separate arguments
+                const patterns = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
                 
                 const builder = new PatternBuilder(this);
                 builder.channelId = this.channelCounter++;
@@ -217,11 +477,10 @@ class TidalJS {
         };
         
         // Alias for stack() - layers multiple patterns
-        window.layer = (patterns) => {
+        window.layer = (...args) => {
             try {
-                if (!Array.isArray(patterns)) {
-                    patterns = Array.from(arguments);
-                }
+                // Takes an array of patterns or the patterns as separate arguments
+                const patterns = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
                 return window.stack(patterns);
             } catch (error) {
                 console.error('Error in layer():', error);
@@ -229,6 +488,28 @@ class TidalJS {
             }
         };
         
+        // Plays a pattern of chords, e.g. chord("<Cm7 F7 Bbmaj7>"), on the sine synth by default
+        window.chord = (symbols, sample = 'sine') => {
+            try {
+                const builder = new PatternBuilder(this);
+                builder.channelId = this.channelCounter++;
+                const pattern = builder.toPattern(symbols) || Pattern.silence();
+                // Each chord symbol becomes an event of the sample carrying that chord
+                builder.pattern = pattern.withEvent(event => event.sample === '~' ? event : {
+                    ...event,
+                    sample,
+                    musical: { ...event.musical, chord: event.sample }
+                });
+                return builder;
+            } catch (error) {
+                console.error('Error in chord():', error);
+                return new PatternBuilder(this);
+            }
+        };
+        
+        // Maps scale degrees to midinotes: midinote(scale("c:minor", "0 2 4 7"))
+        window.scale = (name, degrees) => new PatternBuilder(this).scaleDegrees(name, degrees);
+        
         // Applies a rhythmic structure to a sound pattern
         window.struct = (structPattern, soundPattern) => {
             try {
@@ -242,19 +523,18 @@ class TidalJS {
         };
         
         // Sets the tempo in cycles per second
-        window.setCPS = (newCPS) => {
-            if (this.validateType(newCPS, 'number', 'CPS')) {
-                this.cps = Math.max(0.1, Math.min(10, parseFloat(newCPS)));
-            }
-        };
+        window.setCPS = (newCPS) => this.setCPS(newCPS);
         
         // Sets the tempo in beats per minute
         window.setTempo = (bpm) => {
             if (this.validateType(bpm, 'number', 'BPM')) {
-                this.cps = Math.max(20, Math.min(300, bpm)) / 240;
+                this.setCPS(Math.max(20, Math.min(300, bpm)) / 240);
             }
         };
         
+        // Sets how far ahead (in seconds) events are scheduled
+        window.setLookahead = (seconds) => this.setLookahead(seconds);
+        
         // Stops all currently playing patterns
         window.stopAll = () => this.stopAll();
         
@@ -317,9 +597,43 @@ class TidalJS {
                 console.warn('choose() requires non-empty array');
                 return null;
             }
-            return options[Math.floor(Math.random() * options.length)];
+            // Seeded by the cycle and the call order, so re-evaluating in the same cycle repeats the choice
+            const r = this.timeToRand(this.getCurrentCycle(), 0.0001 * this.chooseCount++);
+            return options[Math.floor(r * options.length)];
+        };
+        
+        // Sets the seed of all random functions
+        window.seed = (value) => this.seed(value);
+        
+        // Registers banks of audio files from a manifest URL, a manifest object or dropped files
+        window.samples = (source, baseUrl) => this.loadSamples(source, baseUrl);
+        
+        // Continuous signals, ranging from 0 to 1 over each cycle
+        window.sine = Pattern.signal(t => (Math.sin(2 * Math.PI * t) + 1) / 2);
+        window.cosine = window.sine.late(0.25);
+        window.saw = Pattern.signal(t => t - Math.floor(t));
+        window.tri = Pattern.signal(t => {
+            const position = t - Math.floor(t);
+            return position < 0.5 ? position * 2 : 2 - position * 2;
+        });
+        window.square = Pattern.signal(t => Math.floor(t * 2) % 2 === 0 ? 0 : 1);
+        window.rand = Pattern.signal(t => this.timeToRand(t));
+        
+        // Random integers from 0 to n - 1
+        window.irand = (n) => {
+            if (!this.validateType(n, 'number', 'irand n')) return window.rand;
+            return window.rand.withValue(value => Math.floor(value * n));
         };
         
+        // Smooth noise that drifts between random values once per cycle
+        window.perlin = Pattern.signal(t => {
+            const cycle = Math.floor(t);
+            const x = t - cycle;
+            const ease = 6 * Math.pow(x, 5) - 15 * Math.pow(x, 4) + 10 * Math.pow(x, 3);
+            const from = this.timeToRand(cycle);
+            return from + ease * (this.timeToRand(cycle + 1) - from);
+        });
+        
         // Selects an element based on current cycle
         window.cycleChoose = (options) => {
             if (!Array.isArray(options) || options.length === 0) {
@@ -354,6 +668,90 @@ class TidalJS {
             this.samples.set(name, def);
         }
     }
+    
+    /**
+     * Initializes the library of scales and modes, as semitones above the root
+     * Names are matched case-insensitively, ignoring spaces, dashes and underscores
+     */
+    initScales() {
+        const scaleDefs = {
+            'major': [0, 2, 4, 5, 7, 9, 11],
+            'minor': [0, 2, 3, 5, 7, 8, 10],
+            'ionian': [0, 2, 4, 5, 7, 9, 11],
+            'dorian': [0, 2, 3, 5, 7, 9, 10],
+            'phrygian': [0, 1, 3, 5, 7, 8, 10],
+            'lydian': [0, 2, 4, 6, 7, 9, 11],
+            'mixolydian': [0, 2, 4, 5, 7, 9, 10],
+            'aeolian': [0, 2, 3, 5, 7, 8, 10],
+            'locrian': [0, 1, 3, 5, 6, 8, 10],
+            'harmonicMinor': [0, 2, 3, 5, 7, 8, 11],
+            'harmonicMajor': [0, 2, 4, 5, 7, 8, 11],
+            'melodicMinor': [0, 2, 3, 5, 7, 9, 11],
+            'majPent': [0, 2, 4, 7, 9],
+            'minPent': [0, 3, 5, 7, 10],
+            'majorPentatonic': [0, 2, 4, 7, 9],
+            'minorPentatonic': [0, 3, 5, 7, 10],
+            'blues': [0, 3, 5, 6, 7, 10],
+            'ritusen': [0, 2, 5, 7, 9],
+            'egyptian': [0, 2, 5, 7, 10],
+            'hirajoshi': [0, 2, 3, 7, 8],
+            'iwato': [0, 1, 5, 6, 10],
+            'whole': [0, 2, 4, 6, 8, 10],
+            'wholeTone': [0, 2, 4, 6, 8, 10],
+            'diminished': [0, 2, 3, 5, 6, 8, 9, 11],
+            'hungarianMinor': [0, 2, 3, 6, 7, 8, 11],
+            'spanish': [0, 1, 4, 5, 7, 8, 10],
+            'bhairav': [0, 1, 4, 5, 7, 8, 11],
+            'chromatic': [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+        };
+        
+        for (const [name, intervals] of Object.entries(scaleDefs)) {
+            this.scales.set(name.toLowerCase(), intervals);
+        }
+    }
+    
+    /**
+     * Initializes the library of chord qualities, as semitones above the root
+     * Jazz symbols (m7, ^7, ø) and Tidal names (min7, dom7, major) share the same table
+     */
+    initChords() {
+        const chordDefs = [
+            [['', 'major', 'maj', 'M'], [0, 4, 7]],
+            [['m', 'minor', 'min', '-'], [0, 3, 7]],
+            [['dim', 'diminished', 'o'], [0, 3, 6]],
+            [['aug', 'augmented', 'plus', '+'], [0, 4, 8]],
+            [['sus2'], [0, 2, 7]],
+            [['sus4', 'sus'], [0, 5, 7]],
+            [['5', 'five', 'power'], [0, 7]],
+            [['6', 'six', 'maj6'], [0, 4, 7, 9]],
+            [['m6', 'min6', 'minor6'], [0, 3, 7, 9]],
+            [['7', 'dom7', 'seven'], [0, 4, 7, 10]],
+            [['maj7', 'major7', '^7', 'M7'], [0, 4, 7, 11]],
+            [['m7', 'min7', 'minor7', '-7'], [0, 3, 7, 10]],
+            [['mmaj7', 'm^7', 'minMaj7', 'minmaj7'], [0, 3, 7, 11]],
+            [['dim7', 'o7'], [0, 3, 6, 9]],
+            [['m7b5', 'min7b5', 'ø', 'h7', 'halfdim'], [0, 3, 6, 10]],
+            [['7sus4', 'dom7sus4', '7sus'], [0, 5, 7, 10]],
+            [['aug7', '7#5', '+7'], [0, 4, 8, 10]],
+            [['7b9'], [0, 4, 7, 10, 13]],
+            [['add9', 'major9add'], [0, 4, 7, 14]],
+            [['madd9', 'minadd9'], [0, 3, 7, 14]],
+            [['9', 'dom9', 'nine'], [0, 4, 7, 10, 14]],
+            [['maj9', 'major9', '^9', 'M9'], [0, 4, 7, 11, 14]],
+            [['m9', 'min9', 'minor9', '-9'], [0, 3, 7, 10, 14]],
+            [['11', 'dom11', 'eleven'], [0, 4, 7, 10, 14, 17]],
+            [['m11', 'min11', 'minor11', '-11'], [0, 3, 7, 10, 14, 17]],
+            [['13', 'dom13', 'thirteen'], [0, 4, 7, 10, 14, 21]],
+            [['maj13', 'major13', '^13', 'M13'], [0, 4, 7, 11, 14, 21]],
+            [['m13', 'min13', 'minor13', '-13'], [0, 3, 7, 10, 14, 21]]
+        ];
+        
+        for (const [names, intervals] of chordDefs) {
+            for (const name of names) {
+                this.chords.set(name, intervals);
+            }
+        }
+    }
 
     /**
      * Creates an impulse response buffer for reverb effects
@@ -366,8 +764,9 @@ class TidalJS {
         
         for (let channel = 0; channel < 2; channel++) {
             const channelData = impulse.getChannelData(channel);
+            const random = this.createRandom(1000 + channel);
             for (let i = 0; i < length; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+                channelData[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
             }
         }
     
@@ -441,36 +840,31 @@ class TidalJS {
     
     /**
      * Creates a chain of audio effects in the proper order
-     * Handles filters, distortion, delay, reverb, and panning
+     * Handles filters, distortion, vowels and panning; reverb and delay live on the orbits
+     * The start time of the sound lets the low-pass filter envelope follow each note
      */
-    createFilterChain(effects = {}) {
+    createFilterChain(effects = {}, startTime = null) {
         const chain = [];
         const context = this.audioContext;
         
         try {
             // Filters first (order matters for audio quality)
             if (typeof effects.lpf === 'number' && effects.lpf > 0) {
-                const lpf = context.createBiquadFilter();
-                lpf.type = 'lowpass';
-                lpf.frequency.value = Math.max(20, Math.min(20000, effects.lpf));
-                lpf.Q.value = 1;
-                chain.push(lpf);
+                const sweep = typeof effects.lpenv === 'number' && startTime !== null ? {
+                    startTime,
+                    depth: effects.lpenv,
+                    attack: effects.lpattack ?? 0.01,
+                    decay: effects.lpdecay ?? 0.2
+                } : null;
+                chain.push(...this.createResonantFilter('lowpass', effects.lpf, effects.lpq, effects.ftype, sweep));
             }
 
             if (typeof effects.hpf === 'number' && effects.hpf > 0) {
-                const hpf = context.createBiquadFilter();
-                hpf.type = 'highpass';
-                hpf.frequency.value = Math.max(20, Math.min(20000, effects.hpf));
-                hpf.Q.value = 1;
-                chain.push(hpf);
+                chain.push(...this.createResonantFilter('highpass', effects.hpf, effects.hpq, effects.ftype));
             }
 
             if (typeof effects.bpf === 'number' && effects.bpf > 0) {
-                const bpf = context.createBiquadFilter();
-                bpf.type = 'bandpass';
-                bpf.frequency.value = Math.max(20, Math.min(20000, effects.bpf));
-                bpf.Q.value = 1;
-                chain.push(bpf);
+                chain.push(...this.createResonantFilter('bandpass', effects.bpf, effects.bpq));
             }
 
             // Vowel filter
@@ -498,49 +892,6 @@ class TidalJS {
                 chain.push(waveShaper);
             }
 
-            // Delay with feedback
-            if (typeof effects.delay === 'number' && effects.delay > 0) {
-                const delayTime = Math.max(0.001, Math.min(2.0, effects.delay));
-                const delayNode = context.createDelay(2.0);
-                const feedbackGain = context.createGain();
-                const wetGain = context.createGain();
-                const dryGain = context.createGain();
-                const outputMixer = context.createGain();
-                
-                delayNode.delayTime.value = delayTime;
-                feedbackGain.gain.value = 0.3; // Feedback amount
-                wetGain.gain.value = 0.5;     // Wet signal
-                dryGain.gain.value = 0.7;     // Dry signal
-                
-                // Create feedback loop
-                delayNode.connect(feedbackGain);
-                feedbackGain.connect(delayNode);
-                delayNode.connect(wetGain);
-                wetGain.connect(outputMixer);
-                dryGain.connect(outputMixer);
-                
-                chain.push({
-                    type: 'delay',
-                    input: delayNode,
-                    dryInput: dryGain,
-                    output: outputMixer
-                });
-            }
-
-            // Reverb with impulse response caching
-            if (typeof effects.reverb === 'number' && effects.reverb > 0) {
-                const convolver = context.createConvolver();
-                const duration = Math.max(0.1, Math.min(5.0, effects.reverb));
-                const key = `reverb_${duration.toFixed(2)}`;
-                
-                if (!this.impulseCache.has(key)) {
-                    this.impulseCache.set(key, this.createImpulseResponse(context, duration, 2.0));
-                }
-                
-                convolver.buffer = this.impulseCache.get(key);
-                chain.push(convolver);
-            }
-
             // Pan (prevent conflicts with other panApplied markers)
             if (typeof effects.pan === 'number' && !effects.panApplied) {
                 const panner = context.createStereoPanner();
@@ -556,6 +907,58 @@ class TidalJS {
         return chain;
     }
 
+    /**
+     * Creates a filter with resonance (Q) as one or more biquad stages
+     * ftype "24db" cascades two stages and "ladder" four, driven into a soft saturation like an
+     * analog ladder; only the last stage resonates. A sweep moves the cutoff up by depth octaves
+     * over its attack and back over its decay (negative depths sweep down)
+     */
+    createResonantFilter(type, cutoff, resonance = 1, ftype = '12db', sweep = null) {
+        const context = this.audioContext;
+        const stages = ftype === 'ladder' ? 4 : ftype === '24db' ? 2 : 1;
+        const base = Math.max(20, Math.min(20000, cutoff));
+        const nodes = [];
+        
+        if (ftype === 'ladder') {
+            const drive = context.createWaveShaper();
+            drive.curve = this.getSaturationCurve();
+            nodes.push(drive);
+        }
+        
+        for (let i = 0; i < stages; i++) {
+            const filter = context.createBiquadFilter();
+            filter.type = type;
+            filter.Q.value = i === stages - 1 ? Math.max(0.0001, Math.min(50, resonance ?? 1)) : 0.707;
+            
+            if (sweep) {
+                const peak = Math.max(20, Math.min(20000, base * Math.pow(2, sweep.depth)));
+                const peakTime = sweep.startTime + Math.max(0.001, sweep.attack);
+                filter.frequency.setValueAtTime(base, sweep.startTime);
+                filter.frequency.exponentialRampToValueAtTime(peak, peakTime);
+                filter.frequency.exponentialRampToValueAtTime(base, peakTime + Math.max(0.001, sweep.decay));
+            } else {
+                filter.frequency.value = base;
+            }
+            nodes.push(filter);
+        }
+        return nodes;
+    }
+    
+    /**
+     * Returns a gentle tanh saturation curve, made once
+     */
+    getSaturationCurve() {
+        if (!this.saturationCurve) {
+            const samples = 4096;
+            this.saturationCurve = new Float32Array(samples);
+            for (let i = 0; i < samples; i++) {
+                const x = i * 2 / (samples - 1) - 1;
+                this.saturationCurve[i] = Math.tanh(1.5 * x) / Math.tanh(1.5);
+            }
+        }
+        return this.saturationCurve;
+    }
+    
     /**
      * Creates a distortion curve for the WaveShaper
      * Uses arc tangent-based formula for smooth distortion
@@ -574,11 +977,11 @@ class TidalJS {
     
     /**
      * Connects audio nodes through an effects chain
-     * Handles complex nodes like delay and vowel filters
+     * Handles complex nodes like vowel filters
      */
-    connectWithEffects(source, destination, effects = {}) {
+    connectWithEffects(source, destination, effects = {}, startTime = null) {
         try {
-            const chain = this.createFilterChain(effects);
+            const chain = this.createFilterChain(effects, startTime);
             
             if (chain.length === 0) {
                 source.connect(destination);
@@ -588,12 +991,7 @@ class TidalJS {
             let currentNode = source;
             
             for (const filter of chain) {
-                if (filter.type === 'delay') {
-                    // Handle complex delay node with dry/wet mixing
-                    currentNode.connect(filter.input);
-                    currentNode.connect(filter.dryInput);
-                    currentNode = filter.output;
-                } else if (filter.type === 'vowel') {
+                if (filter.type === 'vowel') {
                     // Handle complex vowel filter with parallel formants
                     currentNode.connect(filter.input);
                     currentNode = filter.output;
@@ -616,111 +1014,587 @@ class TidalJS {
         }
     }
     
+    // ORBITS
+
     /**
-     * Plays a sample by name with specified parameters
-     * Handles timing, effects, and musical transformations
+     * Returns the buses of an orbit, creating them the first time the orbit is used
+     * Each orbit owns one feedback delay and its reverbs, shared by every event sent to it
      */
-    async playSample(name, gain = 0.7, effects = {}, musical = {}, exactTime = null) {
-        // Verify AudioContext is ready
-        if (!this.audioContext || this.audioContext.state !== 'running') {
-            console.warn('AudioContext not ready for playback, state:', this.audioContext?.state);
-            return;
-        }
-        
-        // Skip silence events
-        if (!name || name === '~') {
-            return;
-        }
-        
-        const sampleDef = this.samples.get(name);
-        if (!sampleDef) {
-            console.warn(`Sample '${name}' not found`);
-            return;
-        }
-        
-        // Use precise AudioContext timing
-        const startTime = exactTime !== null ? exactTime : this.audioContext.currentTime;
-        const safeGain = Math.max(0, Math.min(1, gain || 0.7));
-        
-        console.log(`🔊 Attempting to play sample "${name}" at time ${startTime.toFixed(3)}, gain: ${safeGain}`);
-        
-        // Calculate final frequency with musical transformations
-        let finalFreq = sampleDef.freq;
-        
-        if (typeof musical.freq === 'number') {
-            finalFreq = Math.max(20, Math.min(20000, musical.freq));
-        } else if (typeof musical.midinote === 'number') {
-            finalFreq = this.midiToFreq(musical.midinote);
-        } else if (typeof musical.note === 'string') {
-            const midiNote = this.noteToMidi(musical.note);
-            finalFreq = this.midiToFreq(midiNote);
-        }
-        
-        if (typeof musical.up === 'number') {
-            const semitones = Math.max(-48, Math.min(48, musical.up));
-            finalFreq = finalFreq * Math.pow(2, semitones / 12);
+    getOrbit(n = 0) {
+        if (!this.orbits.has(n)) {
+            const context = this.audioContext;
+            const output = context.createGain();
+            const delay = context.createDelay(2.0);
+            const feedback = context.createGain();
+
+            delay.delayTime.value = 0.25;
+            feedback.gain.value = 0.3;
+            delay.connect(feedback);
+            feedback.connect(delay);
+            delay.connect(output);
+            output.connect(this.masterGain);
+
+            this.orbits.set(n, { output, delay, feedback, reverbs: new Map(), reverbSize: 0.3 });
         }
+        return this.orbits.get(n);
+    }
+
+    /**
+     * Returns the orbit's reverb for a size, rounded to eighths so only a few reverbs ever exist
+     * Reverbs of other sizes stay connected until their tails have rung out, then are dropped
+     */
+    getOrbitReverb(orbit, size, time) {
+        const step = Math.round(Math.max(0, Math.min(1, size)) * 8) / 8;
+        const duration = 0.1 * Math.pow(50, step); // 0.1 to 5 seconds
+        const key = `reverb_${duration.toFixed(2)}`;
         
-        // Calculate sample variation
-        let sampleVariation = 0;
-        if (typeof musical.n === 'number' && sampleDef.variations) {
-            sampleVariation = Math.abs(Math.floor(musical.n)) % sampleDef.variations;
+        for (const [otherKey, other] of orbit.reverbs) {
+            if (otherKey !== key && this.audioContext.currentTime > other.lastUsed + other.duration + 5) {
+                other.convolver.disconnect();
+                orbit.reverbs.delete(otherKey);
+            }
         }
         
-        console.log(`🎵 Playing ${sampleDef.type} at ${finalFreq.toFixed(1)}Hz, variation: ${sampleVariation}`);
-        
-        try {
-            // Route to appropriate synthesis method
-            switch (sampleDef.type) {
-                case 'kick':
-                    this.playKick(startTime, safeGain, effects, finalFreq, sampleVariation);
-                    break;
-                case 'snare':
-                    this.playSnare(startTime, safeGain, effects, finalFreq, sampleVariation);
-                    break;
-                case 'hihat':
-                case 'openhat':
-                case 'closedhat':
-                    this.playHihat(startTime, safeGain, sampleDef.decay, effects, finalFreq, sampleVariation);
-                    break;
-                case 'clap':
-                    this.playClap(startTime, safeGain, effects, finalFreq, sampleVariation);
-                    break;
-                case 'sine':
-                case 'saw':
-                case 'square':
-                    this.playSynth(startTime, sampleDef.type, finalFreq, sampleDef.decay, safeGain, effects);
-                    break;
-                default:
-                    this.playTone(startTime, finalFreq, sampleDef.decay, safeGain, effects);
+        if (!orbit.reverbs.has(key)) {
+            if (!this.impulseCache.has(key)) {
+                this.impulseCache.set(key, this.createImpulseResponse(this.audioContext, duration, 2.0));
             }
-            console.log(`✅ Successfully scheduled ${name}`);
-        } catch (error) {
-            console.error(`❌ Error playing sample ${name}:`, error);
+            const convolver = this.audioContext.createConvolver();
+            convolver.buffer = this.impulseCache.get(key);
+            convolver.connect(orbit.output);
+            orbit.reverbs.set(key, { convolver, duration, lastUsed: time });
         }
+        
+        const reverb = orbit.reverbs.get(key);
+        reverb.lastUsed = Math.max(reverb.lastUsed, time);
+        return reverb.convolver;
     }
-    
+
     /**
-     * Synthesizes basic waveforms (sine, saw, square)
-     * Used for melodic content and basic synthesis
+     * Sends a finished voice to its orbit: dry to the output, room and delay to the shared buses
+     * Like SuperDirt, size, delaytime and delayfeedback set the orbit for all of its events
      */
-    playSynth(startTime, waveType, freq, decay, gain = 0.4, effects = {}) {
+    connectToOrbit(node, effects = {}, startTime = null) {
         try {
-            const osc = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
+            const context = this.audioContext;
+            const orbit = this.getOrbit(effects.orbit ?? 0);
+            const time = startTime ?? context.currentTime;
 
-            this.connectWithEffects(osc, gainNode, effects);
-            gainNode.connect(this.masterGain);
+            if (typeof effects.size === 'number') {
+                orbit.reverbSize = effects.size;
+            } else if (typeof effects.reverb === 'number') {
+                orbit.reverbSize = Math.log(effects.reverb / 0.1) / Math.log(50);
+            }
+            if (typeof effects.delaytime === 'number') {
+                orbit.delay.delayTime.setValueAtTime(effects.delaytime, time);
+            }
+            if (typeof effects.delayfeedback === 'number') {
+                orbit.feedback.gain.setValueAtTime(effects.delayfeedback, time);
+            }
 
-            osc.frequency.value = freq;
-            osc.type = waveType;
+            const dry = 1 - (effects.dry ?? 0);
+            if (dry === 1) {
+                node.connect(orbit.output);
+            } else if (dry > 0) {
+                const dryGain = context.createGain();
+                dryGain.gain.value = dry;
+                node.connect(dryGain);
+                dryGain.connect(orbit.output);
+            }
 
-            gainNode.gain.setValueAtTime(0, startTime);
-            gainNode.gain.linearRampToValueAtTime(gain, startTime + 0.001);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + decay);
+            // reverb(seconds) predates the orbits and sends half of the sound by default
+            const room = effects.room ?? (typeof effects.reverb === 'number' ? 0.5 : 0);
+            if (room > 0) {
+                const send = context.createGain();
+                send.gain.value = room;
+                node.connect(send);
+                send.connect(this.getOrbitReverb(orbit, orbit.reverbSize, time));
+            }
 
-            osc.start(startTime);
-            osc.stop(startTime + decay);
+            if (typeof effects.delay === 'number' && effects.delay > 0) {
+                const send = context.createGain();
+                send.gain.value = effects.delay;
+                node.connect(send);
+                send.connect(orbit.delay);
+            }
+        } catch (error) {
+            console.error('Error in connectToOrbit:', error);
+            node.connect(this.masterGain);
+        }
+    }
+
+    // SAMPLE BANKS
+
+    /**
+     * Registers banks of audio files, played by name with n or name:index picking the file
+     * Accepts a manifest URL, a manifest object ({ bd: ['bd/1.wav'], _base: 'https://...' })
+     * or dropped File objects; resolves to the names of the registered banks
+     */
+    async loadSamples(source, baseUrl = '') {
+        try {
+            if (typeof source === 'string') {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} loading ${source}`);
+                }
+                const manifest = await response.json();
+                // Relative paths in a manifest are relative to the manifest itself
+                const base = baseUrl || source.substring(0, source.lastIndexOf('/') + 1);
+                return this.registerSampleManifest(manifest, base);
+            }
+            if (this.isFileList(source)) {
+                return await this.registerSampleFiles(Array.from(source));
+            }
+            if (source && typeof source === 'object') {
+                return this.registerSampleManifest(source, baseUrl);
+            }
+            console.warn('samples() expects a manifest URL, a manifest object or audio files');
+            return [];
+        } catch (error) {
+            console.error('Error in loadSamples:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Registers the banks of a manifest without fetching them
+     * Files are fetched and decoded the first time they play, so large manifests stay cheap
+     */
+    registerSampleManifest(manifest, baseUrl = '') {
+        const base = typeof manifest._base === 'string' ? manifest._base : baseUrl;
+        const names = [];
+
+        for (const [name, paths] of Object.entries(manifest)) {
+            if (name.startsWith('_')) continue;
+            const list = (Array.isArray(paths) ? paths : [paths]).filter(path => typeof path === 'string');
+            if (list.length === 0) {
+                console.warn(`Sample bank '${name}' has no files`);
+                continue;
+            }
+            this.sampleBanks.set(name, list.map(path => ({ url: this.resolveSampleUrl(path, base), buffer: null, loading: null, failedAt: null })));
+            names.push(name);
+        }
+
+        console.log(`📦 Registered sample banks: ${names.join(', ')}`);
+        return names;
+    }
+
+    /**
+     * Registers dropped audio files, grouped into banks by folder or by file name
+     * "bd/kick.wav" goes to bank "bd", and so do "bd1.wav" and "bd_2.wav"
+     */
+    async registerSampleFiles(files) {
+        const banks = new Map();
+
+        for (const file of files) {
+            if (!/\.(wav|mp3|ogg|flac|aiff?|m4a|webm)$/i.test(file.name)) continue;
+            const folders = (file.webkitRelativePath || '').split('/').slice(0, -1);
+            const name = folders.length > 0
+                ? folders[folders.length - 1]
+                : file.name.replace(/\.[^.]+$/, '').replace(/[\s_-]*\d+$/, '') || file.name;
+            if (!banks.has(name)) banks.set(name, []);
+            banks.get(name).push(file);
+        }
+
+        for (const [name, bankFiles] of banks) {
+            bankFiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+            const entries = bankFiles.map(file => ({ file, buffer: null, loading: null, failedAt: null }));
+            this.sampleBanks.set(name, entries);
+            // Local files are decoded straight away so they are ready on the first hit
+            await Promise.all(entries.map(entry => this.loadSampleBuffer(entry)));
+        }
+
+        const names = Array.from(banks.keys());
+        console.log(`📦 Loaded sample banks: ${names.join(', ')}`);
+        return names;
+    }
+
+    /**
+     * Checks for a FileList or an array of File objects
+     */
+    isFileList(source) {
+        if (typeof FileList !== 'undefined' && source instanceof FileList) return true;
+        return Array.isArray(source) && source.length > 0 &&
+            source.every(item => typeof File !== 'undefined' && item instanceof File);
+    }
+
+    /**
+     * Resolves a manifest path against its base URL
+     */
+    resolveSampleUrl(path, base) {
+        if (!base || /^([a-z]+:|\/)/i.test(path)) return path;
+        return base.endsWith('/') ? base + path : `${base}/${path}`;
+    }
+
+    /**
+     * Fetches and decodes a bank entry into an AudioBuffer
+     * Each file is decoded once; concurrent callers share the same promise
+     * A failed file warns once and is tried again on a call a few seconds later
+     */
+    loadSampleBuffer(entry) {
+        if (entry.buffer) return Promise.resolve(entry.buffer);
+        const coolingDown = entry.failedAt && Date.now() - entry.failedAt < 5000;
+        if (!entry.loading && !coolingDown && this.audioContext) {
+            entry.loading = (async () => {
+                let data;
+                if (entry.file) {
+                    data = await entry.file.arrayBuffer();
+                } else {
+                    const response = await fetch(entry.url);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    data = await response.arrayBuffer();
+                }
+                entry.buffer = await this.audioContext.decodeAudioData(data);
+                entry.failedAt = null;
+                return entry.buffer;
+            })().catch(error => {
+                if (!entry.failedAt) {
+                    console.warn(`Could not load sample ${entry.url || entry.file.name}:`, error);
+                }
+                entry.failedAt = Date.now();
+                entry.loading = null;
+                return null;
+            });
+        }
+        return entry.loading || Promise.resolve(null);
+    }
+
+    /**
+     * Returns the bank entry for a sample index, wrapping around the bank
+     */
+    getSampleEntry(name, n = 0) {
+        const bank = this.sampleBanks.get(name);
+        if (!bank) return null;
+        const index = ((Math.floor(n) % bank.length) + bank.length) % bank.length;
+        return bank[index];
+    }
+
+    /**
+     * Returns the decoded buffer of a bank for a sample index, wrapping around the bank
+     * Returns null while the file is still loading; the request to load it is made here
+     */
+    getSampleBuffer(name, n = 0) {
+        const entry = this.getSampleEntry(name, n);
+        if (!entry) return null;
+        if (!entry.buffer) {
+            this.loadSampleBuffer(entry);
+        }
+        return entry.buffer;
+    }
+
+    /**
+     * Starts loading the bank samples a pattern plays in its next cycle
+     * Lets a freshly evaluated pattern find its files decoded by the time they are due
+     */
+    preloadSamples(pattern) {
+        if (this.sampleBanks.size === 0) return;
+        try {
+            const begin = Math.floor(this.getCurrentCycle());
+            for (const event of pattern.query(begin, begin + 1)) {
+                if (this.sampleBanks.has(event.sample)) {
+                    this.getSampleBuffer(event.sample, event.musical?.n);
+                }
+            }
+        } catch (error) {
+            console.error('Error in preloadSamples:', error);
+        }
+    }
+
+    /**
+     * Plays a decoded sample buffer through the effects chain
+     * Sample controls pick the region (begin, end), the rate (speed, unit), the repeats (loop),
+     * the envelope (attack to release, hold, legato) and the cut group; the rate changes pitch
+     * and length together
+     */
+    playBuffer(startTime, buffer, gain = 0.7, effects = {}, pitch = 1, envelope = {}) {
+        try {
+            const begin = Math.max(0, Math.min(1, effects.begin ?? 0));
+            const end = Math.max(begin, Math.min(1, effects.end ?? 1));
+            const speed = typeof effects.speed === 'number' ? effects.speed : 1;
+            const segment = (end - begin) * buffer.duration;
+            if (segment <= 0 || speed === 0) return;
+
+            // With unit "c" the speed counts how many times the whole file plays per cycle
+            const unitRate = effects.unit === 'c' ? this.cps * buffer.duration : 1;
+            const rate = Math.abs(speed) * pitch * unitRate;
+
+            // Negative speeds play the same region from a reversed copy of the buffer
+            const reversed = speed < 0;
+            const source = this.audioContext.createBufferSource();
+            const gainNode = this.audioContext.createGain();
+            source.buffer = reversed ? this.getReversedBuffer(buffer) : buffer;
+            source.playbackRate.setValueAtTime(rate, startTime);
+            const offset = (reversed ? 1 - end : begin) * buffer.duration;
+
+            const loops = typeof effects.loop === 'number' ? Math.max(1, effects.loop) : 1;
+            if (loops > 1) {
+                source.loop = true;
+                source.loopStart = offset;
+                source.loopEnd = offset + segment;
+            }
+
+            // Samples sustain at full level until hold or legato cut them short, or they run out
+            const natural = loops * segment / rate;
+            const release = envelope.release ?? 0.005;
+            const gate = Math.min(natural - release, envelope.gate ?? natural);
+            const stopTime = this.applyEnvelope(gainNode.gain, startTime, gain, 0.001, {
+                ...envelope,
+                sustain: envelope.sustain ?? 1,
+                release,
+                gate: Math.max(0, gate)
+            });
+
+            this.connectWithEffects(source, gainNode, effects, startTime);
+            this.connectToOrbit(gainNode, effects, startTime);
+
+            this.chokeCutGroup(effects.cut, startTime, source, gainNode);
+
+            source.start(startTime, offset);
+            source.stop(stopTime + 0.01);
+        } catch (error) {
+            console.error('Error in playBuffer:', error);
+        }
+    }
+
+    /**
+     * Returns a reversed copy of a buffer, made once per buffer
+     */
+    getReversedBuffer(buffer) {
+        if (!this.reversedBuffers.has(buffer)) {
+            const reversed = this.audioContext.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                const data = reversed.getChannelData(channel);
+                data.set(buffer.getChannelData(channel));
+                data.reverse();
+            }
+            this.reversedBuffers.set(buffer, reversed);
+        }
+        return this.reversedBuffers.get(buffer);
+    }
+
+    /**
+     * Stops the sound still playing in a cut group when a new one starts in it
+     * Lets open hats choke each other and breakbeat slices stop at the next slice
+     */
+    chokeCutGroup(group, startTime, source, gainNode) {
+        if (typeof group !== 'number') return;
+
+        const previous = this.cutGroups.get(group);
+        if (previous) {
+            try {
+                previous.gainNode.gain.cancelScheduledValues(startTime);
+                previous.gainNode.gain.setTargetAtTime(0, startTime, 0.005);
+                previous.source.stop(startTime + 0.05);
+            } catch (error) {
+                // The previous sound already ended
+            }
+        }
+        this.cutGroups.set(group, { source, gainNode });
+    }
+
+    /**
+     * How long a sound is held, in seconds, or null to let it play out
+     * hold sets the length directly; legato scales the event's own duration
+     */
+    getSoundLength(effects = {}, duration = null) {
+        if (typeof effects.hold === 'number') {
+            return effects.hold;
+        }
+        if (typeof effects.legato === 'number' && typeof duration === 'number') {
+            return effects.legato * duration;
+        }
+        return null;
+    }
+    
+    /**
+     * Reads the amplitude envelope of an event from its attack, decay, sustain and release
+     * A sound with a sustain level is held for its event (or hold/legato) before releasing
+     */
+    getEnvelope(effects = {}, duration = null) {
+        const sustain = typeof effects.sustain === 'number' ? effects.sustain : undefined;
+        return {
+            attack: effects.attack,
+            decay: effects.decay,
+            sustain,
+            release: effects.release,
+            gate: this.getSoundLength(effects, duration) ?? (sustain > 0 ? duration : null)
+        };
+    }
+    
+    /**
+     * Schedules an ADSR envelope on a gain parameter and returns the time the sound ends
+     * Without a gate the sound is percussive, fading out over the voice's own decay;
+     * with one it decays to the sustain level, holds until the gate closes, then releases
+     */
+    applyEnvelope(param, startTime, gain, decay, envelope = {}) {
+        const attack = Math.max(0.001, envelope.attack ?? 0.001);
+        const decayTime = Math.max(0.001, envelope.decay ?? decay);
+        // Exponential ramps cannot reach zero, so silence is 0.001
+        const level = Math.max(0.001, gain * (envelope.sustain ?? 0));
+        const peak = startTime + attack;
+        
+        param.setValueAtTime(0, startTime);
+        param.linearRampToValueAtTime(gain, peak);
+        
+        if (typeof envelope.gate !== 'number') {
+            param.exponentialRampToValueAtTime(0.001, peak + decayTime);
+            return peak + decayTime;
+        }
+        
+        const releaseStart = Math.max(peak, startTime + envelope.gate);
+        const release = Math.max(0.005, envelope.release ?? 0.01);
+        param.exponentialRampToValueAtTime(level, Math.min(peak + decayTime, releaseStart));
+        param.setValueAtTime(level, releaseStart);
+        param.exponentialRampToValueAtTime(0.001, releaseStart + release);
+        return releaseStart + release;
+    }
+
+    /**
+     * Playback rate of a bank sample from its musical values
+     * note and midinote play the file unpitched at c5 (midi 60); up adds semitones
+     */
+    getSampleRate(musical = {}) {
+        let semitones = 0;
+        if (typeof musical.midinote === 'number') {
+            semitones = musical.midinote - 60;
+        } else if (typeof musical.note === 'string') {
+            semitones = this.noteToMidi(musical.note) - 60;
+        } else if (typeof musical.note === 'number') {
+            semitones = musical.note;
+        }
+        if (typeof musical.up === 'number') {
+            semitones += musical.up;
+        }
+        return Math.pow(2, Math.max(-48, Math.min(48, semitones)) / 12);
+    }
+
+    /**
+     * Plays a sample by name with specified parameters
+     * Handles timing, effects, and musical transformations
+     */
+    async playSample(name, gain = 0.7, effects = {}, musical = {}, exactTime = null, duration = null) {
+        // Verify AudioContext is ready
+        if (!this.audioContext || this.audioContext.state !== 'running') {
+            console.warn('AudioContext not ready for playback, state:', this.audioContext?.state);
+            return;
+        }
+        
+        // Skip silence events
+        if (!name || name === '~') {
+            return;
+        }
+        
+        // Use precise AudioContext timing
+        const startTime = exactTime !== null ? exactTime : this.audioContext.currentTime;
+        const safeGain = Math.max(0, Math.min(1, typeof gain === 'number' ? gain : 0.7));
+        const envelope = this.getEnvelope(effects, duration);
+        
+        // Loaded sample banks take precedence over the built-in synths
+        const sampleDef = this.samples.get(name);
+        if (this.sampleBanks.has(name)) {
+            const buffer = this.getSampleBuffer(name, musical.n);
+            if (buffer) {
+                this.playBuffer(startTime, buffer, safeGain, effects, this.getSampleRate(musical), envelope);
+                return;
+            }
+            if (!sampleDef) {
+                // Failed files have already warned; skip them quietly until they load
+                if (!this.getSampleEntry(name, musical.n).failedAt) {
+                    console.log(`⏳ Sample '${name}' is still loading`);
+                }
+                return;
+            }
+        }
+        
+        if (!sampleDef) {
+            console.warn(`Sample '${name}' not found`);
+            return;
+        }
+        
+        console.log(`🔊 Attempting to play sample "${name}" at time ${startTime.toFixed(3)}, gain: ${safeGain}`);
+        
+        // Calculate final frequency with musical transformations
+        let finalFreq = sampleDef.freq;
+        
+        if (typeof musical.freq === 'number') {
+            finalFreq = Math.max(20, Math.min(20000, musical.freq));
+        } else if (typeof musical.midinote === 'number') {
+            finalFreq = this.midiToFreq(musical.midinote);
+        } else if (typeof musical.note === 'string') {
+            const midiNote = this.noteToMidi(musical.note);
+            finalFreq = this.midiToFreq(midiNote);
+        }
+        
+        if (typeof musical.up === 'number') {
+            const semitones = Math.max(-48, Math.min(48, musical.up));
+            finalFreq = finalFreq * Math.pow(2, semitones / 12);
+        }
+        
+        // speed shifts the synths like a faster playback would
+        if (typeof effects.speed === 'number' && effects.speed !== 0) {
+            finalFreq = Math.max(20, Math.min(20000, finalFreq * Math.abs(effects.speed)));
+        }
+        
+        // Calculate sample variation
+        let sampleVariation = 0;
+        if (typeof musical.n === 'number' && sampleDef.variations) {
+            sampleVariation = Math.abs(Math.floor(musical.n)) % sampleDef.variations;
+        }
+        
+        console.log(`🎵 Playing ${sampleDef.type} at ${finalFreq.toFixed(1)}Hz, variation: ${sampleVariation}`);
+        
+        try {
+            // Route to appropriate synthesis method
+            switch (sampleDef.type) {
+                case 'kick':
+                    this.playKick(startTime, safeGain, effects, finalFreq, sampleVariation, envelope);
+                    break;
+                case 'snare':
+                    this.playSnare(startTime, safeGain, effects, finalFreq, sampleVariation, envelope);
+                    break;
+                case 'hihat':
+                case 'openhat':
+                case 'closedhat':
+                    this.playHihat(startTime, safeGain, sampleDef.decay, effects, finalFreq, sampleVariation, envelope);
+                    break;
+                case 'clap':
+                    this.playClap(startTime, safeGain, effects, finalFreq, sampleVariation, envelope);
+                    break;
+                case 'sine':
+                case 'saw':
+                case 'square':
+                    this.playSynth(startTime, sampleDef.type, finalFreq, sampleDef.decay, safeGain, effects, envelope);
+                    break;
+                default:
+                    this.playTone(startTime, finalFreq, sampleDef.decay, safeGain, effects, envelope);
+            }
+            console.log(`✅ Successfully scheduled ${name}`);
+        } catch (error) {
+            console.error(`❌ Error playing sample ${name}:`, error);
+        }
+    }
+    
+    /**
+     * Synthesizes basic waveforms (sine, saw, square)
+     * Used for melodic content and basic synthesis
+     */
+    playSynth(startTime, waveType, freq, decay, gain = 0.4, effects = {}, envelope = {}) {
+        try {
+            const osc = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+
+            this.connectWithEffects(osc, gainNode, effects, startTime);
+            this.connectToOrbit(gainNode, effects, startTime);
+
+            osc.frequency.value = freq;
+            osc.type = waveType;
+
+            const endTime = this.applyEnvelope(gainNode.gain, startTime, gain, decay, envelope);
+
+            osc.start(startTime);
+            osc.stop(endTime);
         } catch (error) {
             console.error('Error in playSynth:', error);
         }
@@ -730,7 +1604,7 @@ class TidalJS {
      * Synthesizes kick drum sounds using pitched oscillator
      * Sweeps from high to low frequency with exponential decay
      */
-    playKick(startTime, gain = 0.8, effects = {}, freq = 60, variation = 0) {
+    playKick(startTime, gain = 0.8, effects = {}, freq = 60, variation = 0, envelope = {}) {
         try {
             console.log(`🥁 Creating kick: gain=${gain}, freq=${freq}, startTime=${startTime.toFixed(3)}`);
             
@@ -739,13 +1613,13 @@ class TidalJS {
 
             // Use effects chain or direct connection
             if (Object.keys(effects).length === 0) {
-                console.log('🔌 Direct connection: osc → gainNode → masterGain');
+                console.log('🔌 Direct connection: osc → gainNode → orbit');
                 osc.connect(gainNode);
-                gainNode.connect(this.masterGain);
+                this.connectToOrbit(gainNode, effects, startTime);
             } else {
-                console.log('🔌 Effect chain connection: osc → effects → gainNode → masterGain');
-                this.connectWithEffects(osc, gainNode, effects);
-                gainNode.connect(this.masterGain);
+                console.log('🔌 Effect chain connection: osc → effects → gainNode → orbit');
+                this.connectWithEffects(osc, gainNode, effects, startTime);
+                this.connectToOrbit(gainNode, effects, startTime);
             }
 
             const baseFreq = freq + (variation * 10);
@@ -757,12 +1631,10 @@ class TidalJS {
 
             const decayTime = Math.max(0.1, 0.3 + (variation * 0.1));
 
-            gainNode.gain.setValueAtTime(0, startTime);
-            gainNode.gain.linearRampToValueAtTime(gain, startTime + 0.001);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + decayTime);
+            const endTime = this.applyEnvelope(gainNode.gain, startTime, gain, decayTime, envelope);
 
             osc.start(startTime);
-            osc.stop(startTime + decayTime);
+            osc.stop(endTime);
             
             console.log(`✅ Kick scheduled: ${baseFreq}→${targetFreq}Hz, ${decayTime.toFixed(3)}s decay`);
             console.log(`🔊 Master volume: ${this.masterGain.gain.value}, Audio state: ${this.audioContext.state}`);
@@ -771,40 +1643,45 @@ class TidalJS {
         }
     }
     
+    /**
+     * Creates a buffer of seeded white noise lasting the given seconds
+     * Made as long as the sound it feeds, since a short looping buffer would be heard repeating
+     */
+    createNoiseBuffer(seed, duration) {
+        const bufferSize = Math.ceil(this.audioContext.sampleRate * duration);
+        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+        const output = buffer.getChannelData(0);
+        
+        const random = this.createRandom(seed);
+        for (let i = 0; i < bufferSize; i++) {
+            output[i] = random() * 2 - 1;
+        }
+        return buffer;
+    }
+    
     /**
      * Synthesizes snare drum sounds using filtered noise
      * Creates white noise and filters it through a bandpass filter
      */
-    playSnare(startTime, gain = 0.6, effects = {}, freq = 200, variation = 0) {
+    playSnare(startTime, gain = 0.6, effects = {}, freq = 200, variation = 0, envelope = {}) {
         try {
-            const bufferSize = this.audioContext.sampleRate * 0.1;
-            const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-            const output = buffer.getChannelData(0);
-
-            // Generate white noise
-            for (let i = 0; i < bufferSize; i++) {
-                output[i] = Math.random() * 2 - 1;
-            }
-
             const noise = this.audioContext.createBufferSource();
             const filter = this.audioContext.createBiquadFilter();
             const gainNode = this.audioContext.createGain();
 
-            noise.buffer = buffer;
-            this.connectWithEffects(noise, filter, effects);
+            this.connectWithEffects(noise, filter, effects, startTime);
             filter.connect(gainNode);
-            gainNode.connect(this.masterGain);
+            this.connectToOrbit(gainNode, effects, startTime);
 
             filter.type = 'bandpass';
             filter.frequency.value = Math.max(100, freq + (variation * 200));
             filter.Q.value = Math.max(0.5, 1 + (variation * 0.5));
 
-            gainNode.gain.setValueAtTime(0, startTime);
-            gainNode.gain.linearRampToValueAtTime(gain, startTime + 0.001);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + 0.1);
+            const endTime = this.applyEnvelope(gainNode.gain, startTime, gain, 0.1, envelope);
+            noise.buffer = this.createNoiseBuffer(200 + variation, Math.max(0.1, endTime - startTime));
 
             noise.start(startTime);
-            noise.stop(startTime + 0.1);
+            noise.stop(endTime);
         } catch (error) {
             console.error('Error in playSnare:', error);
         }
@@ -814,38 +1691,26 @@ class TidalJS {
      * Synthesizes hi-hat sounds using filtered high-frequency noise
      * Short decay time creates crisp percussive sound
      */
-    playHihat(startTime, gain = 0.4, decay = 0.05, effects = {}, freq = 8000, variation = 0) {
+    playHihat(startTime, gain = 0.4, decay = 0.05, effects = {}, freq = 8000, variation = 0, envelope = {}) {
         try {
-            const safeDuration = Math.max(0.01, decay * 2);
-            const bufferSize = this.audioContext.sampleRate * safeDuration;
-            const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-            const output = buffer.getChannelData(0);
-            
-            // Generate white noise
-            for (let i = 0; i < bufferSize; i++) {
-                output[i] = Math.random() * 2 - 1;
-            }
-            
             const noise = this.audioContext.createBufferSource();
             const filter = this.audioContext.createBiquadFilter();
             const gainNode = this.audioContext.createGain();
             
-            noise.buffer = buffer;
-            this.connectWithEffects(noise, filter, effects);
+            this.connectWithEffects(noise, filter, effects, startTime);
             filter.connect(gainNode);
-            gainNode.connect(this.masterGain);
+            this.connectToOrbit(gainNode, effects, startTime);
             
             filter.type = 'highpass';
             filter.frequency.value = Math.max(1000, freq + (variation * 1000));
             
             const finalDecay = Math.max(0.01, decay + (variation * 0.02));
             
-            gainNode.gain.setValueAtTime(0, startTime);
-            gainNode.gain.linearRampToValueAtTime(gain, startTime + 0.001);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + finalDecay);
+            const endTime = this.applyEnvelope(gainNode.gain, startTime, gain, finalDecay, envelope);
+            noise.buffer = this.createNoiseBuffer(300 + variation, Math.max(0.01, decay * 2, endTime - startTime));
             
             noise.start(startTime);
-            noise.stop(startTime + finalDecay);
+            noise.stop(endTime);
         } catch (error) {
             console.error('Error in playHihat:', error);
         }
@@ -855,13 +1720,13 @@ class TidalJS {
      * Synthesizes clap sounds using multiple delayed snare hits
      * Creates the characteristic flam sound of hand claps
      */
-    playClap(startTime, gain = 0.5, effects = {}, freq = 1000, variation = 0) {
+    playClap(startTime, gain = 0.5, effects = {}, freq = 1000, variation = 0, envelope = {}) {
         try {
             const delays = [0, 0.01, 0.02];
             const gains = [0.8, 0.6, 0.4];
             
             for (let i = 0; i < delays.length; i++) {
-                this.playSnare(startTime + delays[i], gain * gains[i], effects, freq, variation);
+                this.playSnare(startTime + delays[i], gain * gains[i], effects, freq, variation, envelope);
             }
         } catch (error) {
             console.error('Error in playClap:', error);
@@ -872,253 +1737,605 @@ class TidalJS {
      * Synthesizes generic tonal sounds using sawtooth waves
      * Used for samples not specifically implemented
      */
-    playTone(startTime, freq, decay, gain = 0.4, effects = {}) {
+    playTone(startTime, freq, decay, gain = 0.4, effects = {}, envelope = {}) {
         try {
             const osc = this.audioContext.createOscillator();
             const gainNode = this.audioContext.createGain();
 
-            this.connectWithEffects(osc, gainNode, effects);
-            gainNode.connect(this.masterGain);
+            this.connectWithEffects(osc, gainNode, effects, startTime);
+            this.connectToOrbit(gainNode, effects, startTime);
 
             osc.frequency.value = freq;
             osc.type = 'sawtooth';
 
-            gainNode.gain.setValueAtTime(0, startTime);
-            gainNode.gain.linearRampToValueAtTime(gain, startTime + 0.001);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + decay);
+            const endTime = this.applyEnvelope(gainNode.gain, startTime, gain, decay, envelope);
 
             osc.start(startTime);
-            osc.stop(startTime + decay);
+            osc.stop(endTime);
         } catch (error) {
             console.error('Error in playTone:', error);
         }
     }
     
     /**
-     * Parses mini-notation strings into event arrays
-     * Supports basic patterns, rests (~), and subdivisions (*)
+     * Parses mini-notation strings into event arrays for a single cycle
+     * Supports sequences, rests (~), nested [ ] groups, <> alternation, { } polymeter,
+     * euclidean (k,n) and the * / ? ! @ _ . | modifiers
+     * Event times are Fractions relative to the start of the requested cycle
      */
-    parseMiniNotation(notation) {
+    parseMiniNotation(notation, cycle = 0) {
         if (!this.validateType(notation, 'string', 'notation')) {
             return [];
         }
         
         try {
-            const events = [];
-            const tokens = notation.trim().split(/\s+/).filter(token => token.length > 0);
-            
-            if (tokens.length === 0) return events;
-            
-            let time = 0;
-            const stepDuration = 1 / tokens.length;
-            
-            for (let i = 0; i < tokens.length; i++) {
-                const token = tokens[i];
-                
-                // Handle rests
-                if (token === '~' || token === '') {
-                    time += stepDuration;
-                    continue;
-                }
-                
-                // Handle subdivisions (e.g., bd*4)
-                if (token.includes('*')) {
-                    const [sample, countStr] = token.split('*');
-                    const count = Math.max(1, parseInt(countStr) || 1);
-                    const subDuration = stepDuration / count;
-                    
-                    for (let j = 0; j < count; j++) {
-                        if (sample && sample !== '~') {
-                            events.push({
-                                sample: sample,
-                                time: time + j * subDuration,
-                                duration: subDuration
-                            });
-                        }
-                    }
-                } else {
-                    if (token && token !== '~') {
-                        events.push({
-                            sample: token,
-                            time: time,
-                            duration: stepDuration
-                        });
+            return this.miniNotation(notation).query(cycle, cycle + 1)
+                .map(event => ({ ...event, time: event.time.sub(cycle) }))
+                .sort((a, b) => a.time.compare(b.time));
+        } catch (error) {
+            console.error('Error parsing mini-notation:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Returns the Pattern for a mini-notation string
+     * Compiled patterns are cached since playback queries them continuously
+     * Throws on syntax errors
+     */
+    miniNotation(notation) {
+        if (!this.notationCache.has(notation)) {
+            this.notationCache.set(notation, this.compileMiniNotation(this.parseMiniNotationTree(notation)));
+        }
+        return this.notationCache.get(notation);
+    }
+    
+    /**
+     * Splits mini-notation into words and structural symbols
+     * Each token keeps its position so the parser can tell bd!3 from bd ! 3
+     */
+    tokenizeMiniNotation(notation) {
+        const symbols = '[]<>{}()*/%,?!@|';
+        const tokens = [];
+        let i = 0;
+        
+        while (i < notation.length) {
+            const char = notation[i];
+            
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+            
+            if (symbols.includes(char)) {
+                tokens.push({ type: char, pos: i, end: i + 1 });
+                i++;
+                continue;
+            }
+            
+            const start = i;
+            while (i < notation.length && !/\s/.test(notation[i]) && !symbols.includes(notation[i])) {
+                i++;
+            }
+            
+            // A lone . separates feet and a lone _ elongates the previous step
+            const value = notation.slice(start, i);
+            if (value === '.' || value === '_') {
+                tokens.push({ type: value, pos: start, end: i });
+            } else {
+                tokens.push({ type: 'word', value, pos: start, end: i });
+            }
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Builds a sequence tree from mini-notation using recursive descent
+     * Throws on unbalanced brackets or misplaced modifiers
+     */
+    parseMiniNotationTree(notation) {
+        // Every random choice (? and |) gets its own seed, so they make independent decisions
+        const state = { tokens: this.tokenizeMiniNotation(notation), index: 0, seed: 0 };
+        const tree = this.parseMiniSequence(state, null);
+        
+        if (state.index < state.tokens.length) {
+            const token = state.tokens[state.index];
+            throw new Error(`Unexpected "${token.type}" at position ${token.pos}`);
+        }
+        
+        return tree;
+    }
+    
+    /**
+     * Parses steps until the closing symbol (or end of input at top level)
+     * Comma-separated layers play simultaneously, | separated options are picked at random
+     */
+    parseMiniSequence(state, closer) {
+        const { layers, separator } = this.parseMiniLayers(state, closer);
+        const sequences = layers.map(items => this.makeMiniSequence(items));
+        
+        if (sequences.length === 1) {
+            return sequences[0];
+        }
+        return separator === '|'
+            ? { type: 'random', options: sequences, seed: state.seed++ }
+            : { type: 'stack', layers: sequences };
+    }
+    
+    /**
+     * Collects the step lists up to the closing symbol, split on , or |
+     * Handles the step-level modifiers: ! (replicate), @ (weight), _ (elongate) and . (feet)
+     */
+    parseMiniLayers(state, closer) {
+        const layers = [[]];
+        let separator = null;
+        
+        const lastStep = (token) => {
+            const steps = layers[layers.length - 1].filter(item => !item.foot);
+            if (steps.length === 0) {
+                throw new Error(`"${token.type}" needs a preceding step at position ${token.pos}`);
+            }
+            return steps[steps.length - 1];
+        };
+        
+        // Reads a number written directly after a modifier, e.g. the 3 in bd!3
+        const adjacentNumber = (token) => {
+            const next = state.tokens[state.index];
+            if (next && next.type === 'word' && next.pos === token.end && !isNaN(parseFloat(next.value))) {
+                state.index++;
+                return parseFloat(next.value);
+            }
+            return null;
+        };
+        
+        while (true) {
+            const token = state.tokens[state.index];
+            
+            if (!token) {
+                if (closer) {
+                    throw new Error(`Missing closing "${closer}"`);
+                }
+                break;
+            }
+            
+            if (token.type === closer) {
+                state.index++;
+                break;
+            }
+            
+            if (']>})'.includes(token.type)) {
+                break;
+            }
+            
+            state.index++;
+            
+            switch (token.type) {
+                case ',':
+                case '|':
+                    if (separator && separator !== token.type) {
+                        throw new Error(`Cannot mix "," and "|" in one group at position ${token.pos}`);
+                    }
+                    separator = token.type;
+                    layers.push([]);
+                    break;
+                case '.':
+                    layers[layers.length - 1].push({ foot: true });
+                    break;
+                case '_':
+                    lastStep(token).weight += 1;
+                    break;
+                case '!': {
+                    const step = lastStep(token);
+                    const count = adjacentNumber(token);
+                    const copies = count === null ? 1 : Math.max(0, Math.floor(count) - 1);
+                    for (let i = 0; i < copies; i++) {
+                        layers[layers.length - 1].push({ node: step.node, weight: step.weight });
                     }
+                    break;
                 }
-                
-                time += stepDuration;
+                case '@': {
+                    const step = lastStep(token);
+                    const weight = adjacentNumber(token);
+                    if (!(weight > 0)) {
+                        throw new Error(`Invalid "@" weight at position ${token.pos}`);
+                    }
+                    step.weight = weight;
+                    break;
+                }
+                default:
+                    state.index--;
+                    layers[layers.length - 1].push({ node: this.parseMiniStep(state), weight: 1 });
+            }
+        }
+        
+        return { layers, separator };
+    }
+    
+    /**
+     * Turns parsed step items into a sequence node
+     * Feet marked with . become sub-sequences, weights are kept only when they differ from 1
+     */
+    makeMiniSequence(items) {
+        if (items.some(item => item.foot)) {
+            const feet = [[]];
+            for (const item of items) {
+                if (item.foot) {
+                    feet.push([]);
+                } else {
+                    feet[feet.length - 1].push(item);
+                }
+            }
+            items = feet
+                .filter(foot => foot.length > 0)
+                .map(foot => ({ node: this.makeMiniSequence(foot), weight: 1 }));
+        }
+        
+        const sequence = { type: 'sequence', steps: items.map(item => item.node) };
+        if (items.some(item => item.weight !== 1)) {
+            sequence.weights = items.map(item => item.weight);
+        }
+        return sequence;
+    }
+    
+    /**
+     * Parses a single step (word, rest, group, alternation or polymeter) and its modifiers
+     * Modifiers are euclidean (k,n,r) followed by any *, / and ? modifiers
+     */
+    parseMiniStep(state) {
+        const token = state.tokens[state.index++];
+        let node;
+        
+        if (token.type === '[') {
+            node = this.parseMiniSequence(state, ']');
+        } else if (token.type === '<') {
+            const { layers, separator } = this.parseMiniLayers(state, '>');
+            const alternations = layers.map(items => ({ type: 'alternate', child: this.makeMiniSequence(items) }));
+            if (alternations.length === 1) {
+                node = alternations[0];
+            } else {
+                node = separator === '|'
+                    ? { type: 'random', options: alternations, seed: state.seed++ }
+                    : { type: 'stack', layers: alternations };
             }
+        } else if (token.type === '{') {
+            const { layers } = this.parseMiniLayers(state, '}');
+            node = { type: 'polymeter', layers: layers.map(items => this.makeMiniSequence(items)), steps: null };
             
-            return events;
-        } catch (error) {
-            console.error('Error parsing mini-notation:', error);
-            return [];
+            // {a b c}%4 sets the base step count, otherwise the first layer sets it
+            if (state.tokens[state.index] && state.tokens[state.index].type === '%') {
+                const stepsToken = state.tokens[++state.index];
+                const steps = stepsToken && stepsToken.type === 'word' ? parseInt(stepsToken.value) : NaN;
+                if (!(steps > 0)) {
+                    throw new Error(`Invalid "%" steps at position ${token.pos}`);
+                }
+                node.steps = steps;
+                state.index++;
+            }
+        } else if (token.type === 'word') {
+            node = token.value === '~' ? { type: 'rest' } : { type: 'atom', value: token.value };
+        } else {
+            throw new Error(`Unexpected "${token.type}" at position ${token.pos}`);
+        }
+        
+        // bd(3,8) and bd(3,8,2): each argument is itself a sequence, so bd(<3 5>,8) works
+        if (state.tokens[state.index] && state.tokens[state.index].type === '(') {
+            state.index++;
+            const { layers, separator } = this.parseMiniLayers(state, ')');
+            const args = layers.map(items => this.makeMiniSequence(items));
+            if (separator === '|' || args.length < 2 || args.length > 3 || args.some(arg => arg.steps.length === 0)) {
+                throw new Error(`Euclidean rhythm needs (pulses,steps) or (pulses,steps,rotation) at position ${token.pos}`);
+            }
+            node = { type: 'euclid', child: node, pulses: args[0], steps: args[1], rotation: args[2] || null };
+        }
+        
+        while (state.tokens[state.index] && '*/?'.includes(state.tokens[state.index].type)) {
+            const modifier = state.tokens[state.index++];
+            const next = state.tokens[state.index];
+            
+            // bd? drops half the events, bd?0.3 drops 30% of them
+            if (modifier.type === '?') {
+                let amount = 0.5;
+                if (next && next.type === 'word' && next.pos === modifier.end && !isNaN(parseFloat(next.value))) {
+                    amount = Math.max(0, Math.min(1, parseFloat(next.value)));
+                    state.index++;
+                }
+                node = { type: 'degrade', amount, child: node, seed: state.seed++ };
+                continue;
+            }
+            
+            state.index++;
+            const factor = next && next.type === 'word' ? parseFloat(next.value) : NaN;
+            
+            if (!(factor > 0)) {
+                throw new Error(`Invalid "${modifier.type}" factor at position ${modifier.pos}`);
+            }
+            
+            node = { type: modifier.type === '*' ? 'fast' : 'slow', factor, child: node };
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Splits a sample word like "bd:2" into its name and variation index
+     * The index is stored as musical.n, the same field .n() patterns set
+     */
+    parseSampleName(value) {
+        const match = /^(.+):(\d+)$/.exec(value);
+        if (!match) {
+            return { sample: value };
+        }
+        return { sample: match[1], musical: { n: parseInt(match[2]) } };
+    }
+    
+    /**
+     * Returns the total weight of a sequence node (its step count when unweighted)
+     */
+    getMiniSequenceWeight(sequence) {
+        return sequence.weights
+            ? sequence.weights.reduce((sum, weight) => sum + weight, 0)
+            : sequence.steps.length;
+    }
+    
+    /**
+     * Compiles a mini-notation tree into a Pattern
+     * Each node type maps onto the Pattern combinator with the same timing
+     */
+    compileMiniNotation(node) {
+        switch (node.type) {
+            case 'atom':
+                return Pattern.pure(this.parseSampleName(node.value));
+            case 'rest':
+                return Pattern.silence();
+            case 'sequence':
+                return Pattern.sequence(node.steps.map(step => this.compileMiniNotation(step)), node.weights);
+            case 'alternate': {
+                // <a b c> plays one step per cycle: the sequence slowed by its length
+                const total = this.getMiniSequenceWeight(node.child);
+                return total > 0 ? this.compileMiniNotation(node.child).slow(total) : Pattern.silence();
+            }
+            case 'stack':
+                return Pattern.stack(node.layers.map(layer => this.compileMiniNotation(layer)));
+            case 'random': {
+                // [a | b | c] picks one option for each cycle
+                const options = node.options.map(option => this.compileMiniNotation(option));
+                return Pattern.cycleWise(cycle => {
+                    const option = options[Math.floor(this.timeToRand(cycle, 0.0001 * node.seed) * options.length)];
+                    return option.query(cycle, cycle + 1);
+                });
+            }
+            case 'degrade':
+                return this.compileMiniNotation(node.child)
+                    .filterEvents(event => this.timeToRand(event.time, 0.0001 * node.seed) >= node.amount);
+            case 'polymeter': {
+                // Every layer advances at the same step rate, so layers of other lengths drift against it
+                const layers = node.layers.filter(layer => layer.steps.length > 0);
+                const baseSteps = node.steps || (layers[0] ? this.getMiniSequenceWeight(layers[0]) : 0);
+                
+                return Pattern.stack(layers.map(layer =>
+                    this.compileMiniNotation(layer).fast(Fraction.from(baseSteps).div(this.getMiniSequenceWeight(layer)))
+                ));
+            }
+            case 'euclid': {
+                const child = this.compileMiniNotation(node.child);
+                const args = [node.pulses, node.steps, node.rotation].map(arg => arg ? this.compileMiniNotation(arg) : null);
+                
+                return Pattern.cycleWise(cycle => {
+                    // Arguments may be patterns themselves, so read them fresh every cycle
+                    const [pulses, steps, rotation] = args.map(arg =>
+                        arg ? parseInt(arg.query(cycle, cycle + 1)[0]?.sample) : 0
+                    );
+                    const bools = this.euclidBools(pulses, steps, rotation);
+                    return this.applyEuclidStructure(child.query(cycle, cycle + 1), bools, cycle);
+                });
+            }
+            case 'fast':
+                return this.compileMiniNotation(node.child).fast(node.factor);
+            case 'slow':
+                return this.compileMiniNotation(node.child).slow(node.factor);
+            default:
+                return Pattern.silence();
         }
     }
     
     /**
-     * Schedules a pattern to play on a specific channel
-     * Handles multi-cycle patterns, timing, and dynamic transforms
+     * Starts playing a Pattern on a specific channel
+     * A channel that is already playing swaps to the new pattern in place: events already
+     * scheduled still play, and the new pattern takes over from the next scheduler tick
      */
     schedulePattern(pattern, channelId = 0) {
         if (!pattern || !this.audioContext) return;
 
         try {
-            // Stop any existing pattern on this channel
-            this.stopChannel(channelId);
+            this.preloadSamples(pattern);
+
+            const existing = this.channels.get(channelId);
+            if (existing && existing.isPlaying) {
+                existing.pattern = pattern;
+                existing.nextPattern = null;
+                existing.errorCount = 0;
+                console.log(`🔁 Swapped pattern on channel ${channelId}`);
+                return;
+            }
 
             this.channels.set(channelId, {
-                pattern: this.deepClone(pattern),
-                scheduler: null,
+                pattern: pattern,
                 isPlaying: true,
-                startCycle: this.getCurrentCycle()
+                errorCount: 0
             });
-
-            const channel = this.channels.get(channelId);
             
-            const scheduleNext = () => {
-                // Check if channel is still active
-                if (!channel.isPlaying || !this.channels.has(channelId)) return;
-
-                try {
-                    const cycleDuration = 1 / this.cps;
-                    const currentCycle = this.getCurrentCycle();
-
-                    let processedPattern = this.deepClone(pattern);
-
-                    // Process dynamic transforms (every, sometimes, whenmod)
-                    processedPattern = processedPattern.map((event) => {
-                        let processedEvent = this.deepClone(event);
-        
-                        // Apply every() transforms
-                        if (event.everyTransform) {
-                            const { n, fn } = event.everyTransform;
-                            if (typeof n === 'number' && typeof fn === 'function' && currentCycle % n === 0) {
-                                try {
-                                    const tempBuilder = new PatternBuilder(this);
-                                    tempBuilder.pattern = [processedEvent];
-                                    const transformed = fn(tempBuilder);
-                                    if (transformed?.pattern?.[0]) {
-                                        processedEvent = { ...processedEvent, ...transformed.applyTransforms()[0] };
-                                    }
-                                } catch (transformError) {
-                                    console.error('Error in every transform:', transformError);
-                                }
-                            }
-                        }
-        
-                        // Apply sometimes() transforms
-                        if (event.sometimesTransform) {
-                            const { fn, prob } = event.sometimesTransform;
-                            if (typeof fn === 'function' && typeof prob === 'number' && Math.random() < prob) {
-                                try {
-                                    const tempBuilder = new PatternBuilder(this);
-                                    tempBuilder.pattern = [processedEvent];
-                                    const transformed = fn(tempBuilder);
-                                    if (transformed?.pattern?.[0]) {
-                                        processedEvent = { ...processedEvent, ...transformed.applyTransforms()[0] };
-                                    }
-                                } catch (transformError) {
-                                    console.error('Error in sometimes transform:', transformError);
-                                }
-                            }
-                        }
-        
-                        // Apply whenmod() transforms
-                        if (event.whenmodTransform) {
-                            const { n, offset, fn } = event.whenmodTransform;
-                            if (typeof n === 'number' && typeof offset === 'number' && typeof fn === 'function' && currentCycle % n === offset) {
-                                try {
-                                    const tempBuilder = new PatternBuilder(this);
-                                    tempBuilder.pattern = [processedEvent];
-                                    const transformed = fn(tempBuilder);
-                                    if (transformed?.pattern?.[0]) {
-                                        processedEvent = { ...processedEvent, ...transformed.applyTransforms()[0] };
-                                    }
-                                } catch (transformError) {
-                                    console.error('Error in whenmod transform:', transformError);
-                                }
-                            }
-                        }
-        
-                        return processedEvent;
-                    });
+            if (this.scheduler && this.scheduledUntil !== null) {
+                // Catch up on the part of the window the other channels already scheduled
+                const begin = this.getSliceEdge(this.audioContext.currentTime);
+                if (begin.lt(this.scheduledUntil)) {
+                    this.scheduleChannelSlice(channelId, this.channels.get(channelId), begin, this.scheduledUntil);
+                }
+            }
+            
+            this.startScheduler();
+        } catch (error) {
+            console.error('Error in schedulePattern:', error);
+        }
+    }
+    
+    /**
+     * Starts the look-ahead scheduler if it is not already running
+     * A short timer keeps the next few milliseconds of audio scheduled for all channels
+     */
+    startScheduler() {
+        if (this.scheduler) return;
         
-                    // Handle multi-cycle patterns
-                    const cycleStartTime = this.startTime + (currentCycle / this.cps);
-                    
-                    // Find the total length of the pattern in cycles
-                    let patternLengthInCycles = 1;
-                    if (processedPattern.length > 0) {
-                        const maxTime = Math.max(...processedPattern.map(e => e.time + (e.duration || 0)));
-                        patternLengthInCycles = Math.max(1, Math.ceil(maxTime));
-                    }
-                    
-                    // Which cycle we're in within this pattern
-                    const cycleInPattern = currentCycle % patternLengthInCycles;
-                    
-                    console.log(`Cycle ${currentCycle}, pattern cycle ${cycleInPattern}/${patternLengthInCycles}`);
+        this.scheduledUntil = null;
+        this.scheduler = setInterval(() => this.schedulerTick(), this.schedulerInterval);
+        this.schedulerTick();
+    }
+    
+    /**
+     * Stops the look-ahead scheduler
+     */
+    stopScheduler() {
+        if (this.scheduler) {
+            clearInterval(this.scheduler);
+            this.scheduler = null;
+        }
+        this.scheduledUntil = null;
+    }
+    
+    /**
+     * Schedules every channel's events up to the end of the look-ahead window
+     * Each tick queries the same slice of cycles for all channels
+     */
+    schedulerTick() {
+        try {
+            const currentTime = this.audioContext.currentTime;
+            const end = this.getSliceEdge(currentTime + this.lookahead);
+            
+            // Start from where the last tick stopped, unless the thread stalled for too long
+            let begin = this.scheduledUntil ?? this.getSliceEdge(currentTime);
+            begin = Fraction.max(begin, this.getSliceEdge(currentTime - 0.1));
+            
+            if (end.lte(begin)) return;
+            this.scheduledUntil = end;
+            
+            for (const [channelId, channel] of this.channels) {
+                // Once a transition is over, only the new pattern needs querying
+                if (channel.nextPattern && begin.gte(channel.settlesAt)) {
+                    channel.pattern = channel.nextPattern;
+                    channel.nextPattern = null;
+                }
+                
+                if (channel.isPlaying) {
+                    this.scheduleChannelSlice(channelId, channel, begin, end);
+                }
+            }
+        } catch (error) {
+            console.error('Error in scheduler tick:', error);
+        }
+    }
+    
+    /**
+     * Returns the cycle position of an audio time as a scheduler slice edge
+     * Snapping edges to a fine grid keeps the fractions small
+     */
+    getSliceEdge(time) {
+        return new Fraction(Math.floor(this.timeToCycle(time) * 960), 960);
+    }
+    
+    /**
+     * Schedules the events of one channel that start within [begin, end) in cycles
+     */
+    scheduleChannelSlice(channelId, channel, begin, end) {
+        try {
+            const events = channel.pattern.query(begin, end);
+            
+            for (const event of events) {
+                if (event && event.time instanceof Fraction && event.sample && event.sample !== '~' && !(event.gain <= 0)) {
+                    const eventTime = this.cycleToTime(event.time.valueOf());
+                    const currentTime = this.audioContext.currentTime;
                     
-                    // Schedule events for the current cycle
-                    for (const event of processedPattern) {
-                        if (event && typeof event.time === 'number' && event.sample && event.sample !== '~') {
-                            // Which cycle does this event belong to?
-                            const eventCycle = Math.floor(event.time);
-                            const timeWithinCycle = event.time - eventCycle;
-                            
-                            // Only play events that belong to the current cycle in the pattern
-                            if (eventCycle === cycleInPattern) {
-                                const eventTime = cycleStartTime + (timeWithinCycle * cycleDuration);
-                                
-                                console.log(`Playing ${event.sample} at cycle ${eventCycle}, time ${timeWithinCycle}`);
-                                
-                                // Check timing for scheduling
-                                const currentTime = this.audioContext.currentTime;
-                                const timeDiff = eventTime - currentTime;
-                                console.log(`🕐 Event time: ${eventTime.toFixed(3)}, Current time: ${currentTime.toFixed(3)}, Diff: ${timeDiff.toFixed(3)}s`);
-                                
-                                // Allow events slightly in the past (scheduling tolerance)
-                                if (eventTime >= currentTime - 0.1) {
-                                    console.log(`✅ Scheduling ${event.sample} for playback`);
-                                    this.playSample(
-                                        event.sample,
-                                        event.gain ?? 0.7,
-                                        event.effects ?? {},
-                                        event.musical ?? {},
-                                        Math.max(currentTime, eventTime)
-                                    );
-                                } else {
-                                    console.log(`❌ Event ${event.sample} too far in past, skipping`);
-                                }
-                            }
-                        }
-                    }
-        
-                    // Schedule next cycle with precise timing
-                    const nextCycleTime = this.startTime + ((currentCycle + 1) / this.cps);
-                    const delay = (nextCycleTime - this.audioContext.currentTime) * 1000;
+                    console.log(`Playing ${event.sample} on channel ${channelId} at cycle ${event.time}`);
                     
-                    channel.scheduler = setTimeout(scheduleNext, Math.max(0, delay));
-                } catch (scheduleError) {
-                    console.error('Error in schedule cycle:', scheduleError);
-                    // Try to reschedule with exponential backoff
-                    if (channel.isPlaying) {
-                        const backoffTime = Math.min(1000, 100 * Math.pow(2, (channel.errorCount || 0)));
-                        channel.errorCount = (channel.errorCount || 0) + 1;
-                        if (channel.errorCount < 5) {
-                            channel.scheduler = setTimeout(scheduleNext, backoffTime);
-                        } else {
-                            console.error('Too many scheduling errors, stopping channel');
-                            this.stopChannel(channelId);
-                        }
+                    // Allow events slightly in the past (scheduling tolerance)
+                    if (eventTime >= currentTime - 0.1) {
+                        this.playSample(
+                            event.sample,
+                            event.gain ?? 0.7,
+                            event.effects ?? {},
+                            event.musical ?? {},
+                            Math.max(currentTime, eventTime),
+                            event.duration ? event.duration.valueOf() / this.cps : null
+                        );
+                    } else {
+                        console.log(`❌ Event ${event.sample} too far in past, skipping`);
                     }
                 }
-            };
-
-            scheduleNext();
-        } catch (error) {
-            console.error('Error in schedulePattern:', error);
+            }
+            
+            channel.errorCount = 0;
+        } catch (scheduleError) {
+            console.error('Error in schedule cycle:', scheduleError);
+            channel.errorCount++;
+            if (channel.errorCount >= 5) {
+                console.error('Too many scheduling errors, stopping channel');
+                this.stopChannel(channelId);
+            }
+        }
+    }
+    
+    /**
+     * Distributes pulses as evenly as possible over steps (Bjorklund's algorithm)
+     * Negative pulses invert the rhythm, rotation shifts it left by whole steps
+     */
+    euclidBools(pulses, steps, rotation = 0) {
+        if (!Number.isInteger(steps) || steps <= 0 || !Number.isInteger(pulses)) {
+            return [];
         }
+        
+        const count = Math.min(steps, Math.abs(pulses));
+        let groups = Array.from({ length: count }, () => [true]);
+        let remainder = Array.from({ length: steps - count }, () => [false]);
+        
+        // Repeatedly pair the remainder with the groups until one remainder group is left
+        while (remainder.length > 1 && groups.length > 0) {
+            const pairs = Math.min(groups.length, remainder.length);
+            const merged = [];
+            for (let i = 0; i < pairs; i++) {
+                merged.push([...groups[i], ...remainder[i]]);
+            }
+            remainder = groups.length > pairs ? groups.slice(pairs) : remainder.slice(pairs);
+            groups = merged;
+        }
+        
+        const bools = [...groups, ...remainder].flat().map(on => pulses < 0 ? !on : on);
+        const shift = ((Number.isInteger(rotation) ? rotation : 0) % steps + steps) % steps;
+        
+        return bools.map((_, i) => bools[(i + shift) % steps]);
+    }
+    
+    /**
+     * Imposes a euclidean structure on the events of one cycle
+     * Each active step takes the values of the events sounding during that step
+     */
+    applyEuclidStructure(events, bools, cycle = 0) {
+        const result = [];
+        
+        bools.forEach((on, i) => {
+            if (!on) return;
+            
+            const stepBegin = new Fraction(i, bools.length).add(cycle);
+            const stepEnd = new Fraction(i + 1, bools.length).add(cycle);
+            
+            for (const event of events) {
+                const begin = Fraction.max(stepBegin, event.time);
+                const end = Fraction.min(stepEnd, event.time.add(event.duration));
+                if (end.gt(begin)) {
+                    result.push({ ...event, time: begin, duration: end.sub(begin) });
+                }
+            }
+        });
+        
+        return result;
     }
     
     /**
@@ -1129,11 +2346,12 @@ class TidalJS {
             const channel = this.channels.get(channelId);
             if (channel) {
                 channel.isPlaying = false;
-                if (channel.scheduler) {
-                    clearTimeout(channel.scheduler);
-                }
                 this.channels.delete(channelId);
             }
+            
+            if (this.channels.size === 0) {
+                this.stopScheduler();
+            }
         } catch (error) {
             console.error('Error stopping channel:', error);
         }
@@ -1155,31 +2373,58 @@ class TidalJS {
     
     /**
      * Sets the global tempo in cycles per second
+     * The tempo anchor moves to the end of the scheduled window, so the change
+     * takes effect on the very next scheduler tick without skipping or repeating events
      */
     setCPS(newCPS) {
         if (this.validateType(newCPS, 'number', 'CPS')) {
+            if (this.audioContext) {
+                const anchorCycle = this.scheduledUntil !== null
+                    ? this.scheduledUntil.valueOf()
+                    : this.timeToCycle(this.audioContext.currentTime);
+                this.startTime = this.cycleToTime(anchorCycle);
+                this.startCycle = anchorCycle;
+            }
             this.cps = Math.max(0.1, Math.min(10, parseFloat(newCPS)));
         }
     }
     
+    /**
+     * Sets how far ahead of the audio clock events are scheduled, in seconds
+     * Longer windows survive busier main threads, shorter ones react faster to edits
+     */
+    setLookahead(seconds) {
+        if (this.validateType(seconds, 'number', 'lookahead')) {
+            this.lookahead = Math.max(this.schedulerInterval / 1000 * 2, Math.min(2, seconds));
+        }
+    }
+    
     /**
      * Evaluates code strings and automatically plays resulting patterns
      * Handles preprocessing, statement parsing, and error recovery
      */
     eval(code) {
         try {
-            this.stopAll();
+            this.evalSlots = new Set();
+            this.chooseCount = 0;
+            
+            // Channels started with play() have no name to swap, so they restart as before
+            for (const [channelId] of this.channels) {
+                if (typeof channelId !== 'string') {
+                    this.stopChannel(channelId);
+                }
+            }
             
             const preprocessedCode = this.preprocessCode(code);
             const statements = this.parseStatements(preprocessedCode);
             let activePatterns = 0;
+            const unnamed = [];
             
             statements.forEach((statement, index) => {
                 try {
                     const result = eval(statement);
                     if (result && result instanceof PatternBuilder) {
-                        result.play();
-                        activePatterns++;
+                        unnamed.push({ code: statement.trim(), builder: result });
                     } else if (result && typeof result.play === 'function') {
                         result.play();
                         activePatterns++;
@@ -1188,8 +2433,17 @@ class TidalJS {
                     console.error(`Error in statement ${index + 1}:`, lineError);
                 }
             });
+            this.playStatements(unnamed);
             
-            return {
+            // Slots the code no longer plays are stopped; the rest keep their phase
+            for (const [channelId] of this.channels) {
+                if (typeof channelId === 'string' && !this.evalSlots.has(channelId)) {
+                    this.stopChannel(channelId);
+                }
+            }
+            activePatterns += this.evalSlots.size;
+            
+            return {
                 success: true,
                 activePatterns: activePatterns
             };
@@ -1200,9 +2454,231 @@ class TidalJS {
                 success: false,
                 error: error.message
             };
+        } finally {
+            this.evalSlots = null;
+        }
+    }
+    
+    /**
+     * Plays the patterns of unnamed statements in slots that survive edits, so re-evaluating swaps them in place
+     * A statement keeps the slot its code had last time; edited statements take over the slots of code
+     * that is gone, so inserting or reordering statements never moves (and restarts) the others
+     */
+    playStatements(unnamed) {
+        const free = new Map(this.statementSlots);
+        const slots = new Map();
+        const edited = [];
+        
+        for (const { code, builder } of unnamed) {
+            const match = [...free].find(([, previous]) => previous === code);
+            if (match) {
+                free.delete(match[0]);
+                slots.set(match[0], code);
+                this.p(match[0], builder);
+            } else {
+                edited.push({ code, builder });
+            }
+        }
+        
+        let counter = 1;
+        for (const { code, builder } of edited) {
+            let slot = free.keys().next().value;
+            if (slot !== undefined) {
+                free.delete(slot);
+            } else {
+                while (slots.has(`statement${counter}`)) counter++;
+                slot = `statement${counter}`;
+            }
+            slots.set(slot, code);
+            this.p(slot, builder);
+        }
+        
+        this.statementSlots = slots;
+    }
+    
+    /**
+     * Plays a pattern in a named slot, e.g. p("drums", sound("bd sn")) or d1("bd sn")
+     * A slot that is already playing swaps to the new pattern without restarting
+     */
+    p(name, pattern) {
+        this.transition(name, pattern, null);
+    }
+    
+    // TRANSITION METHODS
+    
+    /**
+     * Replaces the pattern in a slot, optionally through a transition
+     * makeTransition(from, to, now) returns { pattern, settlesAt }: the pattern leading from
+     * the old pattern to the new one, and the cycle from which only the new one is heard
+     */
+    transition(name, pattern, makeTransition) {
+        try {
+            const builder = typeof pattern === 'string' ? new PatternBuilder(this).sound(pattern) : pattern;
+            
+            if (!(builder instanceof PatternBuilder)) {
+                console.warn('Slots expect a mini-notation string or a pattern');
+                return;
+            }
+            
+            // Numbered slots follow Tidal, where p(1, ...) is d1
+            const slot = typeof name === 'number' ? `d${name}` : String(name);
+            if (this.evalSlots) {
+                this.evalSlots.add(slot);
+            }
+            
+            // A builder already playing on its own channel moves into the slot without retriggering
+            const ownChannel = this.channels.get(builder.channelId);
+            if (builder.channelId !== slot && ownChannel) {
+                this.channels.delete(builder.channelId);
+                if (!this.channels.has(slot)) {
+                    this.channels.set(slot, ownChannel);
+                }
+            }
+            builder.channelId = slot;
+            
+            const channel = this.channels.get(slot);
+            if (!makeTransition || !channel || !channel.isPlaying || !this.audioContext) {
+                builder.play();
+                return;
+            }
+            
+            // The transition starts where the scheduler has got to, so nothing already queued changes
+            const now = this.scheduledUntil ?? this.getSliceEdge(this.audioContext.currentTime);
+            const next = builder.applyTransforms();
+            const { pattern: combined, settlesAt } = makeTransition(channel.pattern, next, now);
+            
+            channel.pattern = combined;
+            channel.nextPattern = next;
+            channel.settlesAt = settlesAt;
+            console.log(`🔀 Transition on slot ${slot} until cycle ${settlesAt}`);
+        } catch (error) {
+            console.error('Error in transition:', error);
         }
     }
     
+    /**
+     * Returns a copy of an event with its gain multiplied by a factor
+     */
+    scaleGain(event, factor) {
+        return { ...event, gain: (event.gain ?? 0.7) * factor };
+    }
+    
+    /**
+     * Crossfades from the playing pattern to a new one over a number of cycles
+     */
+    xfadeIn(name, cycles, pattern) {
+        if (!this.validateType(cycles, 'number', 'xfadeIn cycles')) return;
+        const length = Math.max(0.125, cycles);
+        
+        this.transition(name, pattern, (from, to, now) => {
+            const end = now.add(length);
+            const progress = time => Math.max(0, Math.min(1, time.sub(now).valueOf() / length));
+            
+            return {
+                pattern: Pattern.stack([
+                    from.filterEvents(event => event.time.lt(end))
+                        .withEvent(event => this.scaleGain(event, 1 - progress(event.time))),
+                    to.withEvent(event => this.scaleGain(event, progress(event.time)))
+                ]),
+                settlesAt: end
+            };
+        });
+    }
+    
+    /**
+     * Crossfades to a new pattern over 4 cycles
+     */
+    xfade(name, pattern) {
+        this.xfadeIn(name, 4, pattern);
+    }
+    
+    /**
+     * Switches to a new pattern on the cycle boundary a number of cycles ahead
+     * jumpIn(1, 1, ...) switches at the start of the next cycle
+     */
+    jumpIn(name, cycles, pattern) {
+        if (!this.validateType(cycles, 'number', 'jumpIn cycles')) return;
+        
+        this.transition(name, pattern, (from, to, now) => {
+            const at = new Fraction(now.floor() + Math.max(1, Math.floor(cycles)));
+            
+            return {
+                pattern: Pattern.stack([
+                    from.filterEvents(event => event.time.lt(at)),
+                    to.filterEvents(event => event.time.gte(at))
+                ]),
+                settlesAt: at
+            };
+        });
+    }
+    
+    /**
+     * Builds up to a new pattern, which takes over on the cycle boundary a number of cycles ahead
+     * Until then the new pattern joins in as echoes that grow louder while the old one fades
+     */
+    anticipateIn(name, cycles, pattern) {
+        if (!this.validateType(cycles, 'number', 'anticipateIn cycles')) return;
+        
+        this.transition(name, pattern, (from, to, now) => {
+            const at = new Fraction(now.floor() + Math.max(1, Math.floor(cycles)));
+            const length = Math.max(1e-3, at.sub(now).valueOf());
+            const progress = time => Math.max(0, Math.min(1, time.sub(now).valueOf() / length));
+            
+            // Four echoes an eighth of a cycle apart, each quieter than the one before
+            const echoes = [0, 1, 2, 3].map(i =>
+                to.late(new Fraction(i, 8))
+                    .filterEvents(event => event.time.lt(at))
+                    .withEvent(event => this.scaleGain(event, 0.8 * progress(event.time) * Math.pow(0.6, i)))
+            );
+            
+            return {
+                pattern: Pattern.stack([
+                    from.filterEvents(event => event.time.lt(at))
+                        .withEvent(event => this.scaleGain(event, 1 - 0.5 * progress(event.time))),
+                    ...echoes,
+                    to.filterEvents(event => event.time.gte(at))
+                ]),
+                settlesAt: at
+            };
+        });
+    }
+    
+    /**
+     * Builds up to a new pattern over 8 cycles
+     */
+    anticipate(name, pattern) {
+        this.anticipateIn(name, 8, pattern);
+    }
+    
+    /**
+     * Swaps events of the old pattern for events of the new one over a number of cycles
+     * Each event has a growing chance of coming from the new pattern
+     */
+    clutchIn(name, cycles, pattern) {
+        if (!this.validateType(cycles, 'number', 'clutchIn cycles')) return;
+        const length = Math.max(0.125, cycles);
+        
+        this.transition(name, pattern, (from, to, now) => {
+            const end = now.add(length);
+            const progress = time => Math.max(0, Math.min(1, time.sub(now).valueOf() / length));
+            
+            return {
+                pattern: Pattern.stack([
+                    from.filterEvents(event => event.time.lt(end) && this.timeToRand(event.time) >= progress(event.time)),
+                    to.filterEvents(event => this.timeToRand(event.time) < progress(event.time))
+                ]),
+                settlesAt: end
+            };
+        });
+    }
+    
+    /**
+     * Clutches in a new pattern over 2 cycles
+     */
+    clutch(name, pattern) {
+        this.clutchIn(name, 2, pattern);
+    }
+    
     /**
      * Preprocesses code for proper statement boundary detection
      * Handles comments, brackets, and method chaining across lines
@@ -1304,9 +2780,8 @@ class TidalJS {
     getCycleProgress() {
         if (!this.audioContext) return 0;
         
-        const currentTime = this.audioContext.currentTime;
-        const cycleTime = (currentTime - this.startTime) * this.cps;
-        return cycleTime % 1;
+        const cycleTime = this.timeToCycle(this.audioContext.currentTime);
+        return cycleTime - Math.floor(cycleTime);
     }
     
     /**
@@ -1318,652 +2793,2114 @@ class TidalJS {
 }
 
 /**
- * PatternBuilder Class
- * Handles pattern creation, transformations, and effects
- * Each instance represents a single pattern with its associated properties
+ * Fraction Class
+ * Exact rational numbers for event times, so subdivisions like thirds never drift
+ * Fractions are immutable; valueOf() gives the float value for audio scheduling
  */
-class PatternBuilder {
-    constructor(tidal) {
-        this.tidal = tidal; // Reference to TidalJS instance
-        this.pattern = null; // Array of events
-        this.transforms = []; // Array of transform functions
-        this.effects = {}; // Audio effects parameters
-        this.musical = {}; // Musical parameters (note, freq, etc.)
-        this.channelId = 0; // Unique channel identifier
+class Fraction {
+    constructor(numerator, denominator = 1) {
+        if (!Number.isInteger(numerator) || !Number.isInteger(denominator) || denominator === 0) {
+            throw new Error(`Invalid fraction ${numerator}/${denominator}`);
+        }
+        
+        // Keep the sign on the numerator and the fraction in lowest terms
+        const divisor = Fraction.gcd(Math.abs(numerator), Math.abs(denominator)) * Math.sign(denominator);
+        this.n = numerator / divisor + 0; // + 0 turns -0 into 0
+        this.d = denominator / divisor;
     }
     
     /**
-     * Creates a sound pattern from various input types
-     * Supports strings (mini-notation), arrays, and functions
+     * Greatest common divisor of two non-negative integers
      */
-    sound(pattern) {
-        try {
-            if (typeof pattern === 'string') {
-                this.pattern = this.tidal.parseMiniNotation(pattern);
-            } else if (Array.isArray(pattern)) {
-                this.pattern = this.parseArrayPattern(pattern);
-            } else if (typeof pattern === 'function') {
-                this.pattern = this.parseFunctionPattern(pattern);
-            } else {
-                console.warn('Invalid pattern type in sound():', typeof pattern);
-                this.pattern = [];
+    static gcd(a, b) {
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a || 1;
+    }
+    
+    /**
+     * Converts a number or Fraction to a Fraction
+     * Floats become the closest fraction with a denominator of at most one million
+     */
+    static from(value) {
+        if (value instanceof Fraction) return value;
+        if (Number.isInteger(value)) return new Fraction(value, 1);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Cannot convert ${value} to a fraction`);
+        }
+        
+        // Continued fraction expansion, stopping once the value is matched
+        const maxDenominator = 1000000;
+        let [prevN, n, prevD, d] = [0, 1, 1, 0];
+        let x = value;
+        
+        for (let i = 0; i < 64; i++) {
+            const whole = Math.floor(x);
+            const nextD = whole * d + prevD;
+            if (nextD > maxDenominator) break;
+            
+            [prevN, n] = [n, whole * n + prevN];
+            [prevD, d] = [d, nextD];
+            
+            const rest = x - whole;
+            if (rest < 1e-12 || Math.abs(n / d - value) < 1e-15) break;
+            x = 1 / rest;
+        }
+        
+        return new Fraction(n, d);
+    }
+    
+    static min(a, b) {
+        return Fraction.from(a).lte(b) ? Fraction.from(a) : Fraction.from(b);
+    }
+    
+    static max(a, b) {
+        return Fraction.from(a).gte(b) ? Fraction.from(a) : Fraction.from(b);
+    }
+    
+    add(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.d + o.n * this.d, this.d * o.d);
+    }
+    
+    sub(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.d - o.n * this.d, this.d * o.d);
+    }
+    
+    mul(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.n, this.d * o.d);
+    }
+    
+    div(other) {
+        const o = Fraction.from(other);
+        return new Fraction(this.n * o.d, this.d * o.n);
+    }
+    
+    /**
+     * Returns -1, 0 or 1 as this fraction is less than, equal to or greater than the other
+     */
+    compare(other) {
+        const o = Fraction.from(other);
+        return Math.sign(this.n * o.d - o.n * this.d);
+    }
+    
+    eq(other) { return this.compare(other) === 0; }
+    lt(other) { return this.compare(other) < 0; }
+    lte(other) { return this.compare(other) <= 0; }
+    gt(other) { return this.compare(other) > 0; }
+    gte(other) { return this.compare(other) >= 0; }
+    
+    /**
+     * The largest integer not above this fraction, i.e. the cycle it falls in
+     */
+    floor() {
+        return (this.n - (((this.n % this.d) + this.d) % this.d)) / this.d;
+    }
+    
+    ceil() {
+        return -new Fraction(-this.n, this.d).floor();
+    }
+    
+    valueOf() {
+        return this.n / this.d;
+    }
+    
+    toString() {
+        return this.d === 1 ? `${this.n}` : `${this.n}/${this.d}`;
+    }
+}
+
+/**
+ * Pattern Class
+ * A pattern is a function of time: querying it over a span [begin, end) in cycles
+ * returns the events whose onsets fall inside that span, with absolute times
+ * Transformations build new patterns from old ones without computing any events
+ */
+class Pattern {
+    constructor(query, cycles = 1) {
+        // (begin, end) => events starting within [begin, end); times are Fractions
+        this.query = (begin, end) => query(Fraction.from(begin), Fraction.from(end));
+        this.cycles = cycles; // Natural length in cycles, used when appending patterns
+        this.signal = null; // Value as a function of time, for continuous patterns
+    }
+    
+    /**
+     * Creates a pattern without any events
+     */
+    static silence() {
+        return new Pattern(() => []);
+    }
+    
+    /**
+     * Repeats a single value once per cycle, e.g. { sample: 'bd' }
+     */
+    static pure(value) {
+        return new Pattern((begin, end) => {
+            const events = [];
+            for (let cycle = begin.ceil(); end.gt(cycle); cycle++) {
+                events.push({ ...value, time: new Fraction(cycle), duration: new Fraction(1) });
             }
-        } catch (error) {
-            console.error('Error in sound():', error);
-            this.pattern = [];
+            return events;
+        });
+    }
+    
+    /**
+     * Creates a continuous pattern from a function of time in cycles
+     * Signals have a value at every moment; discrete patterns sample them at their onsets
+     */
+    static signal(fn) {
+        const pattern = new Pattern((begin, end) => [
+            { sample: fn(begin.valueOf()), time: begin, duration: end.sub(begin) }
+        ]);
+        pattern.signal = fn;
+        return pattern;
+    }
+    
+    /**
+     * Builds a pattern from a function that returns the events of one whole cycle
+     * For operations that need to see a cycle at once (rev, struct, euclid)
+     */
+    static cycleWise(getCycle, cycles = 1) {
+        return new Pattern((begin, end) => {
+            const events = [];
+            for (let cycle = begin.floor(); end.gt(cycle); cycle++) {
+                const from = Fraction.max(begin, cycle);
+                const to = Fraction.min(end, cycle + 1);
+                for (const event of getCycle(cycle)) {
+                    if (event.time.gte(from) && event.time.lt(to)) {
+                        events.push(event);
+                    }
+                }
+            }
+            return events;
+        }, cycles);
+    }
+    
+    /**
+     * Squeezes one cycle of each pattern into a share of the cycle
+     * Shares are equal unless weights are given
+     */
+    static sequence(patterns, weights = null) {
+        const stepWeights = (weights || patterns.map(() => 1)).map(weight => Fraction.from(weight));
+        const total = stepWeights.reduce((sum, weight) => sum.add(weight), new Fraction(0));
+        
+        if (patterns.length === 0 || total.lte(0)) {
+            return Pattern.silence();
+        }
+        
+        return new Pattern((begin, end) => {
+            const events = [];
+            
+            for (let cycle = begin.floor(); end.gt(cycle); cycle++) {
+                let offset = new Fraction(0);
+                
+                patterns.forEach((pattern, i) => {
+                    // Each step squeezes one cycle of its pattern into its share of the parent
+                    const scale = total.div(stepWeights[i]);
+                    const stepBegin = offset.div(total).add(cycle);
+                    offset = offset.add(stepWeights[i]);
+                    const from = Fraction.max(begin, stepBegin);
+                    const to = Fraction.min(end, offset.div(total).add(cycle));
+                    if (to.lte(from)) return;
+                    
+                    const toInner = t => t.sub(stepBegin).mul(scale).add(cycle);
+                    for (const event of pattern.query(toInner(from), toInner(to))) {
+                        events.push({
+                            ...event,
+                            time: event.time.sub(cycle).div(scale).add(stepBegin),
+                            duration: event.duration.div(scale)
+                        });
+                    }
+                });
+            }
+            
+            return events;
+        }, Math.max(...patterns.map(pattern => pattern.cycles)));
+    }
+    
+    /**
+     * Plays patterns simultaneously
+     */
+    static stack(patterns) {
+        if (patterns.length === 0) {
+            return Pattern.silence();
+        }
+        return new Pattern(
+            (begin, end) => patterns.flatMap(pattern => pattern.query(begin, end)),
+            Math.max(...patterns.map(pattern => pattern.cycles))
+        );
+    }
+    
+    /**
+     * Plays patterns one after another, each for its own length in cycles
+     * Every pass through the list continues each pattern where it left off
+     */
+    static append(patterns) {
+        const total = patterns.reduce((sum, pattern) => sum + pattern.cycles, 0);
+        
+        if (patterns.length === 0) {
+            return Pattern.silence();
+        }
+        
+        return Pattern.cycleWise(cycle => {
+            const pass = Math.floor(cycle / total);
+            let position = cycle - pass * total;
+            
+            for (const pattern of patterns) {
+                if (position < pattern.cycles) {
+                    // Query the pattern's own cycle and move it to where it plays now
+                    const innerCycle = pass * pattern.cycles + position;
+                    const shift = cycle - innerCycle;
+                    return pattern.query(innerCycle, innerCycle + 1)
+                        .map(event => ({ ...event, time: event.time.add(shift) }));
+                }
+                position -= pattern.cycles;
+            }
+            return [];
+        }, total);
+    }
+    
+    /**
+     * Speeds the pattern up by a factor
+     */
+    fast(factor) {
+        if (!(factor > 0)) {
+            return Pattern.silence();
+        }
+        const exact = Fraction.from(factor);
+        const pattern = new Pattern((begin, end) =>
+            this.query(begin.mul(exact), end.mul(exact)).map(event => ({
+                ...event,
+                time: event.time.div(exact),
+                duration: event.duration.div(exact)
+            })),
+            Math.max(1, new Fraction(this.cycles).div(exact).ceil())
+        );
+        if (this.signal) {
+            pattern.signal = time => this.signal(time * exact.valueOf());
+        }
+        return pattern;
+    }
+    
+    /**
+     * Slows the pattern down by a factor
+     */
+    slow(factor) {
+        if (!(factor > 0)) {
+            return Pattern.silence();
+        }
+        return this.fast(new Fraction(1).div(factor));
+    }
+    
+    /**
+     * Reverses every cycle of the pattern
+     */
+    rev() {
+        const pattern = Pattern.cycleWise(cycle =>
+            this.query(cycle, cycle + 1).map(event => ({
+                ...event,
+                time: Fraction.max(cycle, new Fraction(2 * cycle + 1).sub(event.time).sub(event.duration))
+            })).reverse(),
+            this.cycles
+        );
+        if (this.signal) {
+            pattern.signal = time => this.signal(2 * Math.floor(time) + 1 - time);
+        }
+        return pattern;
+    }
+    
+    /**
+     * Shifts the pattern later in time by a number of cycles
+     */
+    late(offset) {
+        const shift = Fraction.from(offset);
+        const pattern = new Pattern((begin, end) =>
+            this.query(begin.sub(shift), end.sub(shift)).map(event => ({
+                ...event,
+                time: event.time.add(shift)
+            })),
+            this.cycles
+        );
+        if (this.signal) {
+            pattern.signal = time => this.signal(time - shift.valueOf());
+        }
+        return pattern;
+    }
+    
+    /**
+     * Shifts the pattern earlier in time by a number of cycles
+     */
+    early(offset) {
+        return this.late(Fraction.from(offset).mul(-1));
+    }
+    
+    /**
+     * Starts each cycle a further 1/n of the way into the pattern, wrapping around every n cycles
+     */
+    iter(divisions) {
+        const n = Math.max(1, Math.floor(divisions));
+        return Pattern.cycleWise(cycle => {
+            const shift = new Fraction(((cycle % n) + n) % n, n);
+            return this.early(shift).query(cycle, cycle + 1);
+        }, this.cycles);
+    }
+    
+    /**
+     * Plays the pattern forwards, then backwards, alternating every cycle
+     */
+    palindrome() {
+        const reversed = this.rev();
+        return Pattern.cycleWise(cycle => {
+            const source = Math.floor(cycle / 2);
+            const pattern = cycle % 2 === 0 ? this : reversed;
+            return pattern.query(source, source + 1).map(event => ({
+                ...event,
+                time: event.time.add(cycle - source)
+            }));
+        }, this.cycles * 2);
+    }
+    
+    /**
+     * Repeats each event n times within its own duration
+     */
+    ply(factor) {
+        const n = Math.max(1, Math.floor(factor));
+        // Look back far enough to find slowed events whose repeats reach into this cycle
+        const lookback = Math.max(0, this.cycles - 1);
+        
+        return Pattern.cycleWise(cycle =>
+            this.query(cycle - lookback, cycle + 1).flatMap(event => {
+                const duration = event.duration.div(n);
+                return Array.from({ length: n }, (_, i) => ({
+                    ...event,
+                    time: event.time.add(duration.mul(i)),
+                    duration
+                }));
+            }),
+            this.cycles
+        );
+    }
+    
+    /**
+     * Repeats the first fraction of each cycle to fill the cycle
+     * A negative fraction repeats the end of the cycle instead
+     */
+    linger(fraction) {
+        const length = Fraction.from(Math.abs(fraction));
+        if (length.lte(0)) {
+            return Pattern.silence();
+        }
+        
+        return Pattern.cycleWise(cycle => {
+            const start = fraction >= 0 ? new Fraction(cycle) : new Fraction(cycle + 1).sub(length);
+            const part = this.query(start, start.add(length));
+            const events = [];
+            
+            for (let offset = new Fraction(cycle); offset.lt(cycle + 1); offset = offset.add(length)) {
+                for (const event of part) {
+                    events.push({ ...event, time: event.time.sub(start).add(offset) });
+                }
+            }
+            return events;
+        }, this.cycles);
+    }
+    
+    /**
+     * Squeezes each cycle into the span from start to end (fractions of a cycle), leaving silence around it
+     */
+    compress(start, end) {
+        const from = Fraction.from(start);
+        const to = Fraction.from(end);
+        if (from.lt(0) || to.gt(1) || to.lte(from)) {
+            return Pattern.silence();
+        }
+        
+        const span = to.sub(from);
+        return Pattern.cycleWise(cycle =>
+            this.query(cycle, cycle + 1).map(event => ({
+                ...event,
+                time: event.time.sub(cycle).mul(span).add(from).add(cycle),
+                duration: event.duration.mul(span)
+            })),
+            this.cycles
+        );
+    }
+    
+    /**
+     * Plays only the span from start to end of each cycle, stretched to fill the whole cycle
+     */
+    zoom(start, end) {
+        const from = Fraction.from(start);
+        const span = Fraction.from(end).sub(from);
+        if (span.lte(0)) {
+            return Pattern.silence();
+        }
+        
+        return new Pattern((begin, finish) => {
+            const events = [];
+            
+            for (let cycle = begin.floor(); finish.gt(cycle); cycle++) {
+                const toInner = t => t.sub(cycle).mul(span).add(from).add(cycle);
+                const inner = this.query(toInner(Fraction.max(begin, cycle)), toInner(Fraction.min(finish, cycle + 1)));
+                
+                for (const event of inner) {
+                    events.push({
+                        ...event,
+                        time: event.time.sub(cycle).sub(from).div(span).add(cycle),
+                        duration: event.duration.div(span)
+                    });
+                }
+            }
+            return events;
+        }, this.cycles);
+    }
+    
+    /**
+     * Plays part of an event's sample, from..to as fractions of its current begin..end range
+     * So chopping an already sliced event cuts up that slice rather than the whole file
+     */
+    static withPlayRange(event, from, to) {
+        const begin = event.effects?.begin ?? 0;
+        const end = event.effects?.end ?? 1;
+        return {
+            ...event,
+            effects: {
+                ...event.effects,
+                begin: begin + (end - begin) * from,
+                end: begin + (end - begin) * to
+            }
+        };
+    }
+    
+    /**
+     * Cuts each event into n parts that play successive parts of its sample
+     */
+    chop(parts) {
+        const n = Math.max(1, Math.floor(parts));
+        const lookback = Math.max(0, this.cycles - 1);
+        
+        return Pattern.cycleWise(cycle =>
+            this.query(cycle - lookback, cycle + 1).flatMap(event => {
+                const duration = event.duration.div(n);
+                return Array.from({ length: n }, (_, i) => Pattern.withPlayRange({
+                    ...event,
+                    time: event.time.add(duration.mul(i)),
+                    duration
+                }, i / n, (i + 1) / n));
+            }),
+            this.cycles
+        );
+    }
+    
+    /**
+     * Plays the whole cycle n times, each time with the next part of every sample
+     * The parts of different events interlace, where chop keeps each event's parts together
+     */
+    striate(parts) {
+        const n = Math.max(1, Math.floor(parts));
+        return Pattern.sequence(Array.from({ length: n }, (_, i) =>
+            this.withEvent(event => Pattern.withPlayRange(event, i / n, (i + 1) / n))
+        ));
+    }
+    
+    /**
+     * Cuts samples into n slices and plays the slices an index pattern picks
+     * The rhythm comes from the index pattern; the sample playing at each index is used
+     */
+    slice(parts, indexPattern) {
+        const n = Math.max(1, Math.floor(parts));
+        
+        return new Pattern((begin, end) =>
+            indexPattern.query(begin, end).flatMap(indexEvent => {
+                const index = Math.floor(parseFloat(indexEvent.sample));
+                const source = this.eventAt(indexEvent.time);
+                if (isNaN(index) || !source) {
+                    return [];
+                }
+                
+                const slice = ((index % n) + n) % n;
+                return [Pattern.withPlayRange({
+                    ...source,
+                    time: indexEvent.time,
+                    duration: indexEvent.duration
+                }, slice / n, (slice + 1) / n)];
+            }),
+            indexPattern.cycles
+        );
+    }
+    
+    /**
+     * Like slice, but changes each slice's speed so it lasts exactly as long as its event
+     */
+    splice(parts, indexPattern) {
+        const n = Math.max(1, Math.floor(parts));
+        return this.slice(n, indexPattern).withEvent(event => {
+            const speed = event.effects?.speed ?? 1;
+            return {
+                ...event,
+                effects: {
+                    ...event.effects,
+                    speed: speed / (n * event.duration.valueOf()),
+                    unit: 'c'
+                }
+            };
+        });
+    }
+    
+    /**
+     * Transforms every event with a function returning the new event
+     */
+    withEvent(fn) {
+        return new Pattern((begin, end) => this.query(begin, end).map(fn), this.cycles);
+    }
+    
+    /**
+     * Transforms the value (the sample field) of every event, or of a signal at every moment
+     */
+    withValue(fn) {
+        const pattern = this.withEvent(event => ({ ...event, sample: fn(event.sample) }));
+        if (this.signal) {
+            pattern.signal = time => fn(this.signal(time));
+        }
+        return pattern;
+    }
+    
+    /**
+     * Scales values from 0..1 to low..high, e.g. sine.range(200, 2000)
+     */
+    range(low, high) {
+        return this.withValue(value => low + parseFloat(value) * (high - low));
+    }
+    
+    /**
+     * Scales values from 0..1 to low..high exponentially, which suits frequencies
+     */
+    rangex(low, high) {
+        return this.withValue(value => low * Math.pow(high / low, parseFloat(value)));
+    }
+    
+    /**
+     * Rounds values to the nearest integer
+     */
+    quantise() {
+        return this.withValue(value => Math.round(parseFloat(value)));
+    }
+    
+    /**
+     * Samples the pattern into a number of equal steps per cycle
+     * Turns a continuous signal into discrete events
+     */
+    segment(steps) {
+        const count = Math.max(1, Math.floor(steps));
+        return new Pattern((begin, end) => {
+            const events = [];
+            for (let step = begin.mul(count).ceil(); end.mul(count).gt(step); step++) {
+                const time = new Fraction(step, count);
+                const match = this.eventAt(time);
+                if (match) {
+                    events.push({ ...match, time, duration: new Fraction(1, count) });
+                }
+            }
+            return events;
+        }, this.cycles);
+    }
+    
+    /**
+     * Glides linearly from each numeric value to the next, giving a continuous signal
+     */
+    smooth() {
+        if (this.signal) return this;
+        
+        return Pattern.signal(time => {
+            const current = this.eventAt(time);
+            if (!current) return NaN;
+            
+            const next = this.eventAt(current.time.add(current.duration));
+            const from = parseFloat(current.sample);
+            const to = next ? parseFloat(next.sample) : from;
+            const position = (time - current.time.valueOf()) / current.duration.valueOf();
+            return from + (to - from) * position;
+        });
+    }
+    
+    /**
+     * Keeps only the events matching a predicate
+     */
+    filterEvents(predicate) {
+        return new Pattern((begin, end) => this.query(begin, end).filter(predicate), this.cycles);
+    }
+    
+    /**
+     * Returns the event sounding at a time, or null during rests
+     */
+    eventAt(time) {
+        if (this.signal) {
+            return { sample: this.signal(Number(time)), time: Fraction.from(time), duration: new Fraction(0) };
+        }
+        
+        const at = Fraction.from(time);
+        const cycle = at.floor();
+        // Look back over a few cycles so slowed events that started earlier are found too
+        const events = this.query(cycle - Math.max(0, this.cycles - 1), cycle + 1);
+        return events.find(event =>
+            event.time.lte(at) && at.lt(event.time.add(event.duration))
+        ) || null;
+    }
+}
+
+/**
+ * PatternBuilder Class
+ * Handles pattern creation, transformations, and effects
+ * Each instance represents a single pattern with its associated properties
+ */
+class PatternBuilder {
+    constructor(tidal) {
+        this.tidal = tidal; // Reference to TidalJS instance
+        this.pattern = null; // Pattern of events (see Pattern class)
+        this.transforms = []; // Array of transform functions
+        this.effects = {}; // Audio effects parameters
+        this.effectPatterns = {}; // Patterned effect parameters, sampled per event
+        this.musical = {}; // Musical parameters (note, freq, etc.)
+        this.channelId = 0; // Unique channel identifier
+    }
+    
+    /**
+     * Creates a sound pattern from various input types
+     * Supports strings (mini-notation), arrays, and functions
+     */
+    sound(pattern) {
+        try {
+            if (typeof pattern === 'string') {
+                // Compiled up front so syntax errors surface here, not during playback
+                this.pattern = this.tidal.miniNotation(pattern);
+            } else if (Array.isArray(pattern)) {
+                this.pattern = this.parseArrayPattern(pattern);
+            } else if (typeof pattern === 'function') {
+                this.pattern = this.parseFunctionPattern(pattern);
+            } else {
+                console.warn('Invalid pattern type in sound():', typeof pattern);
+                this.pattern = Pattern.silence();
+            }
+        } catch (error) {
+            console.error('Error in sound():', error);
+            this.pattern = Pattern.silence();
+        }
+        return this;
+    }
+    
+    /**
+     * Applies a rhythmic structure to a sound pattern
+     * Structure defines when sounds play, sound pattern defines what plays
+     */
+    struct(structPattern, soundPattern) {
+        try {
+            const structure = this.toPattern(structPattern);
+            const sounds = this.toPattern(soundPattern);
+            
+            if (!structure || !sounds) {
+                console.warn('Invalid pattern in struct():', typeof structPattern, typeof soundPattern);
+                this.pattern = Pattern.silence();
+                return this;
+            }
+            
+            this.pattern = Pattern.cycleWise(cycle => this.applyStructure(
+                structure.query(cycle, cycle + 1),
+                sounds.query(cycle, cycle + 1)
+            ), Math.max(structure.cycles, sounds.cycles));
+        } catch (error) {
+            console.error('Error in struct():', error);
+            this.pattern = Pattern.silence();
+        }
+        return this;
+    }
+    
+    /**
+     * Concatenates patterns sequentially in time
+     * Each pattern gets equal time within a cycle
+     */
+    cat(patterns) {
+        try {
+            if (!Array.isArray(patterns)) {
+                console.warn('cat() expects an array');
+                this.pattern = Pattern.silence();
+                return this;
+            }
+            
+            const parts = patterns.map(pattern => {
+                const part = this.toPattern(pattern);
+                if (!part) {
+                    console.warn('Invalid pattern type in cat():', typeof pattern);
+                }
+                return part || Pattern.silence();
+            });
+            
+            this.pattern = Pattern.sequence(parts);
+        } catch (error) {
+            console.error('Error in cat():', error);
+            this.pattern = Pattern.silence();
+        }
+        return this;
+    }
+    
+    /**
+     * Converts a pattern argument (string, array, Pattern or PatternBuilder) to a Pattern
+     * Returns null when the argument is not a supported pattern type
+     */
+    toPattern(value) {
+        if (value instanceof Pattern) {
+            return value;
+        } else if (value instanceof PatternBuilder) {
+            return value.applyTransforms();
+        } else if (typeof value === 'string') {
+            try {
+                return this.tidal.miniNotation(value);
+            } catch (error) {
+                console.error('Error in mini-notation pattern:', error);
+                return Pattern.silence();
+            }
+        } else if (Array.isArray(value)) {
+            return this.parseArrayPattern(value);
+        }
+        return null;
+    }
+    
+    /**
+     * Reads a numeric argument that may be a number or a pattern
+     * Patterns (e.g. "<3 5>") yield their first value in the given cycle
+     */
+    resolveNumber(value, cycle = 0) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        
+        const pattern = this.toPattern(value);
+        const events = pattern ? pattern.query(cycle, cycle + 1) : [];
+        const parsed = events.length > 0 ? parseFloat(events[0].sample) : NaN;
+        return isNaN(parsed) ? null : parsed;
+    }
+    
+    /**
+     * Converts an array to a pattern
+     * Each element becomes an event at the corresponding time step
+     */
+    parseArrayPattern(arr) {
+        try {
+            if (!Array.isArray(arr) || arr.length === 0) return Pattern.silence();
+            
+            return Pattern.sequence(arr.map(item =>
+                item !== null && item !== undefined && item !== '~'
+                    ? Pattern.pure(this.tidal.parseSampleName(item.toString()))
+                    : Pattern.silence()
+            ));
+        } catch (error) {
+            console.error('Error parsing array pattern:', error);
+            return Pattern.silence();
+        }
+    }
+    
+    /**
+     * Converts a function to a pattern
+     * Function receives time (0-1) and returns sample name or null
+     */
+    parseFunctionPattern(fn) {
+        try {
+            if (typeof fn !== 'function') return Pattern.silence();
+            
+            const steps = 16;
+            const stepPatterns = [];
+            
+            for (let i = 0; i < steps; i++) {
+                try {
+                    const value = fn(i / steps);
+                    stepPatterns.push(value && value !== '~'
+                        ? Pattern.pure(this.tidal.parseSampleName(value.toString()))
+                        : Pattern.silence());
+                } catch (fnError) {
+                    console.error(`Error in function pattern at step ${i}:`, fnError);
+                    stepPatterns.push(Pattern.silence());
+                }
+            }
+            
+            return Pattern.sequence(stepPatterns);
+        } catch (error) {
+            console.error('Error parsing function pattern:', error);
+            return Pattern.silence();
+        }
+    }
+    
+    /**
+     * Applies a structure pattern to sound events
+     * Structure events with 'x' or '*' trigger the next sound
+     */
+    applyStructure(structure, sounds) {
+        try {
+            const result = [];
+            let soundIndex = 0;
+            
+            for (const structEvent of structure) {
+                if (structEvent.sample === 'x' || structEvent.sample === '*') {
+                    if (sounds.length > 0) {
+                        const sound = sounds[soundIndex % sounds.length];
+                        result.push({
+                            sample: sound.sample,
+                            musical: sound.musical,
+                            time: structEvent.time,
+                            duration: structEvent.duration
+                        });
+                        soundIndex++;
+                    }
+                }
+            }
+            
+            return result;
+        } catch (error) {
+            console.error('Error applying structure:', error);
+            return [];
+        }
+    }
+    
+    // TIME TRANSFORMATION METHODS
+    
+    /**
+     * Makes the pattern faster by dividing event times
+     */
+    fast(factor) {
+        if (this.tidal.validateType(factor, 'number', 'fast factor')) {
+            this.transforms.push({type: 'fast', value: Math.max(0.1, factor)});
+        }
+        return this;
+    }
+    
+    /**
+     * Makes the pattern slower by multiplying event times
+     */
+    slow(factor) {
+        if (this.tidal.validateType(factor, 'number', 'slow factor')) {
+            this.transforms.push({type: 'slow', value: Math.max(0.1, factor)});
+        }
+        return this;
+    }
+    
+    /**
+     * Changes pattern density (same as fast)
+     */
+    density(factor) {
+        if (this.tidal.validateType(factor, 'number', 'density factor')) {
+            this.transforms.push({type: 'density', value: Math.max(0.1, factor)});
+        }
+        return this;
+    }
+    
+    /**
+     * Reverses the pattern in time
+     */
+    rev() {
+        this.transforms.push({type: 'rev'});
+        return this;
+    }
+    
+    /**
+     * Applies a transformation every N cycles
+     */
+    every(n, transformFn) {
+        if (this.isNumberOrPattern(n, 'every n') && 
+            this.tidal.validateType(transformFn, 'function', 'every function')) {
+            const value = typeof n === 'number' ? Math.max(1, Math.floor(n)) : n;
+            this.transforms.push({type: 'every', value, fn: transformFn});
+        }
+        return this;
+    }
+    
+    /**
+     * Applies a transformation randomly (50% chance by default)
+     * Each event is picked or not on its own, and the picked events are transformed together
+     */
+    sometimes(transformFn, prob = 0.5) {
+        if (this.tidal.validateType(transformFn, 'function', 'sometimes function') &&
+            this.isNumberOrPattern(prob, 'sometimes probability')) {
+            const safeProbability = typeof prob === 'number' ? Math.max(0, Math.min(1, prob)) : prob;
+            this.transforms.push({type: 'sometimes', fn: transformFn, prob: safeProbability});
+        }
+        return this;
+    }
+    
+    /**
+     * Applies a transformation with a given probability, e.g. sometimesBy(0.3, x => x.fast(2))
+     */
+    sometimesBy(prob, transformFn) {
+        return this.sometimes(transformFn, prob);
+    }
+    
+    /**
+     * Applies a transformation to whole cycles with a given probability
+     */
+    someCyclesBy(prob, transformFn) {
+        if (this.isNumberOrPattern(prob, 'someCyclesBy probability') &&
+            this.tidal.validateType(transformFn, 'function', 'someCyclesBy function')) {
+            const safeProbability = typeof prob === 'number' ? Math.max(0, Math.min(1, prob)) : prob;
+            this.transforms.push({type: 'someCyclesBy', fn: transformFn, prob: safeProbability});
+        }
+        return this;
+    }
+    
+    /**
+     * Applies a transformation to half of the cycles, picked at random
+     */
+    someCycles(transformFn) {
+        return this.someCyclesBy(0.5, transformFn);
+    }
+    
+    /**
+     * Applies a transformation often (75% chance)
+     */
+    often(fn) {
+        return this.sometimes(fn, 0.75);
+    }
+
+    /**
+     * Applies a transformation rarely (25% chance)
+     */
+    rarely(fn) {
+        return this.sometimes(fn, 0.25);
+    }
+
+    /**
+     * Applies a transformation almost never (10% chance)
+     */
+    almostNever(fn) {
+        return this.sometimes(fn, 0.1);
+    }
+
+    /**
+     * Applies a transformation almost always (90% chance)
+     */
+    almostAlways(fn) {
+        return this.sometimes(fn, 0.9);
+    }
+
+    /**
+     * Applies a transformation when (cycle % n) equals offset
+     */
+    whenmod(n, offset, fn) {
+        if (this.tidal.validateType(n, 'number', 'whenmod n') && 
+            this.tidal.validateType(offset, 'number', 'whenmod offset') &&
+            this.tidal.validateType(fn, 'function', 'whenmod function')) {
+            this.transforms.push({ 
+                type: 'whenmod', 
+                n: Math.max(1, Math.floor(n)), 
+                offset: Math.max(0, Math.floor(offset)), 
+                fn 
+            });
+        }
+        return this;
+    }
+    
+    /**
+     * Checks that an argument is a number or a pattern of numbers, e.g. 4 or "<2 4>"
+     */
+    isNumberOrPattern(value, paramName) {
+        if (typeof value === 'number' || this.toPattern(value)) {
+            return true;
+        }
+        console.warn(`Type validation failed: ${paramName} expected number or pattern, got ${typeof value}`);
+        return false;
+    }
+    
+    /**
+     * Plays the transformed pattern in the cycles where a test passes, the original elsewhere
+     * The function sees the whole pattern, so time changes like fast(2) work as expected
+     */
+    applyWhen(pattern, transformFn, test) {
+        const transformed = this.applyFunction(pattern, transformFn);
+        return Pattern.cycleWise(
+            cycle => (test(cycle) ? transformed : pattern).query(cycle, cycle + 1),
+            pattern.cycles
+        );
+    }
+    
+    /**
+     * Transforms a random selection of events, picked by the seeded random source at each onset
+     */
+    applySometimes(pattern, transform) {
+        const isPicked = event => {
+            const prob = this.resolveNumber(transform.prob, event.time.floor());
+            return this.tidal.timeToRand(event.time) < (prob ?? 0);
+        };
+        
+        return Pattern.stack([
+            pattern.filterEvents(event => !isPicked(event)),
+            this.applyFunction(pattern.filterEvents(isPicked), transform.fn)
+        ]);
+    }
+    
+    // STRUCTURAL TRANSFORMATION METHODS
+    
+    /**
+     * Divides cycles into n parts and applies a function to one part per cycle, in turn
+     */
+    chunk(n, transformFn) {
+        if (this.tidal.validateType(n, 'number', 'chunk n') &&
+            this.tidal.validateType(transformFn, 'function', 'chunk function')) {
+            this.transforms.push({ type: 'chunk', value: Math.max(1, Math.floor(n)), fn: transformFn });
+        }
+        return this;
+    }
+    
+    /**
+     * Shifts the start of each cycle 1/n further into the pattern
+     */
+    iter(n) {
+        if (this.tidal.validateType(n, 'number', 'iter n')) {
+            this.transforms.push({ type: 'iter', value: Math.max(1, Math.floor(n)) });
+        }
+        return this;
+    }
+    
+    /**
+     * Plays the pattern reversed every other cycle
+     */
+    palindrome() {
+        this.transforms.push({ type: 'palindrome' });
+        return this;
+    }
+    
+    /**
+     * Repeats each event n times
+     */
+    ply(n) {
+        if (this.tidal.validateType(n, 'number', 'ply n')) {
+            this.transforms.push({ type: 'ply', value: Math.max(1, Math.floor(n)) });
+        }
+        return this;
+    }
+    
+    /**
+     * Repeats the first fraction of each cycle, e.g. linger(0.25) loops the first quarter
+     */
+    linger(fraction) {
+        if (this.tidal.validateType(fraction, 'number', 'linger fraction')) {
+            this.transforms.push({ type: 'linger', value: Math.max(-1, Math.min(1, fraction)) });
+        }
+        return this;
+    }
+    
+    /**
+     * Layers a copy shifted later by a time (in cycles) and transformed by a function
+     */
+    off(time, transformFn) {
+        if (this.tidal.validateType(time, 'number', 'off time') &&
+            this.tidal.validateType(transformFn, 'function', 'off function')) {
+            this.transforms.push({ type: 'off', value: time, fn: transformFn });
+        }
+        return this;
+    }
+    
+    /**
+     * Applies a function to the pattern as if each cycle were n cycles long
+     * inside(2, x => x.rev()) reverses each half cycle
+     */
+    inside(n, transformFn) {
+        if (this.tidal.validateType(n, 'number', 'inside n') &&
+            this.tidal.validateType(transformFn, 'function', 'inside function')) {
+            this.transforms.push({ type: 'inside', value: Math.max(0.001, n), fn: transformFn });
+        }
+        return this;
+    }
+    
+    /**
+     * Applies a function to the pattern as if n cycles were one cycle long
+     */
+    outside(n, transformFn) {
+        if (this.tidal.validateType(n, 'number', 'outside n')) {
+            return this.inside(1 / Math.max(0.001, n), transformFn);
+        }
+        return this;
+    }
+    
+    /**
+     * Squeezes each cycle into the span from start to end, e.g. compress(0.25, 0.75)
+     */
+    compress(start, end) {
+        if (this.tidal.validateType(start, 'number', 'compress start') &&
+            this.tidal.validateType(end, 'number', 'compress end')) {
+            this.transforms.push({ type: 'compress', start, end });
+        }
+        return this;
+    }
+    
+    /**
+     * Plays only the span from start to end of each cycle, stretched to a whole cycle
+     */
+    zoom(start, end) {
+        if (this.tidal.validateType(start, 'number', 'zoom start') &&
+            this.tidal.validateType(end, 'number', 'zoom end')) {
+            this.transforms.push({ type: 'zoom', start, end });
+        }
+        return this;
+    }
+    
+    /**
+     * Applies a function only to events between start and end of each cycle
+     */
+    within(start, end, transformFn) {
+        if (this.tidal.validateType(start, 'number', 'within start') &&
+            this.tidal.validateType(end, 'number', 'within end') &&
+            this.tidal.validateType(transformFn, 'function', 'within function')) {
+            this.transforms.push({ type: 'within', start, end, fn: transformFn });
+        }
+        return this;
+    }
+    
+    /**
+     * Runs a user function (e.g. x => x.fast(2)) on a pattern and returns the resulting Pattern
+     * The function gets a fresh builder holding the pattern, so the whole builder API is available
+     */
+    applyFunction(pattern, transformFn) {
+        const builder = new PatternBuilder(this.tidal);
+        builder.pattern = pattern;
+        
+        const result = transformFn(builder);
+        if (!(result instanceof PatternBuilder)) {
+            console.warn('Transform functions must return a pattern, e.g. x => x.fast(2)');
+            return pattern;
+        }
+        return result.applyTransforms();
+    }
+    
+    /**
+     * Takes events from the transformed pattern between start and end of each cycle,
+     * and from the original pattern elsewhere
+     */
+    applyWithin(pattern, transformed, start, end) {
+        const from = Fraction.from(start);
+        const to = Fraction.from(end);
+        const isInside = event => {
+            const position = event.time.sub(event.time.floor());
+            return position.gte(from) && position.lt(to);
+        };
+        
+        return Pattern.stack([
+            transformed.filterEvents(isInside),
+            pattern.filterEvents(event => !isInside(event))
+        ]);
+    }
+    
+    /**
+     * Applies a chunk transform: cycle c transforms part (c mod n) of n equal parts
+     */
+    applyChunk(pattern, transform) {
+        const n = transform.value;
+        const transformed = this.applyFunction(pattern, transform.fn);
+        
+        return Pattern.cycleWise(cycle => {
+            const part = ((cycle % n) + n) % n;
+            return this.applyWithin(pattern, transformed, new Fraction(part, n), new Fraction(part + 1, n))
+                .query(cycle, cycle + 1);
+        }, pattern.cycles);
+    }
+    
+    // EUCLIDEAN RHYTHM METHODS
+    
+    /**
+     * Plays the pattern on a euclidean rhythm of pulses over steps
+     * Arguments can be numbers or patterns, e.g. euclid("<3 5>", 8)
+     */
+    euclid(pulses, steps) {
+        return this.euclidOff(pulses, steps, 0);
+    }
+    
+    /**
+     * Plays the pattern on the steps a euclidean rhythm leaves empty
+     */
+    euclidInv(pulses, steps) {
+        this.transforms.push({ type: 'euclid', pulses, steps, rotation: 0, invert: true });
+        return this;
+    }
+    
+    /**
+     * Plays the pattern on the euclidean rhythm and another pattern on the empty steps
+     */
+    euclidFull(pulses, steps, otherPattern) {
+        if (this.toPattern(otherPattern) === null) {
+            console.warn('euclidFull() expects a string, array, or PatternBuilder as third argument');
+            return this.euclid(pulses, steps);
+        }
+        this.transforms.push({ type: 'euclid', pulses, steps, rotation: 0, invert: false, otherPattern });
+        return this;
+    }
+    
+    /**
+     * Plays the pattern on a euclidean rhythm rotated left by a number of steps
+     */
+    euclidOff(pulses, steps, rotation) {
+        this.transforms.push({ type: 'euclid', pulses, steps, rotation, invert: false });
+        return this;
+    }
+    
+    /**
+     * Imposes a euclid transform on every cycle of a pattern
+     * Pulses, steps and rotation are read afresh each cycle, so they can be patterned
+     */
+    applyEuclid(pattern, transform) {
+        const other = transform.otherPattern ? this.toPattern(transform.otherPattern) : null;
+        
+        return Pattern.cycleWise(cycle => {
+            const events = pattern.query(cycle, cycle + 1);
+            const pulses = this.resolveNumber(transform.pulses, cycle);
+            const steps = this.resolveNumber(transform.steps, cycle);
+            const rotation = this.resolveNumber(transform.rotation, cycle) || 0;
+            
+            if (pulses === null || steps === null) {
+                console.warn('euclid expects numeric pulses and steps');
+                return events;
+            }
+            
+            const bools = this.tidal.euclidBools(Math.floor(pulses), Math.floor(steps), Math.floor(rotation));
+            const onSteps = transform.invert ? bools.map(on => !on) : bools;
+            const result = this.tidal.applyEuclidStructure(events, onSteps, cycle);
+            
+            if (other) {
+                const offSteps = bools.map(on => !on);
+                result.push(...this.tidal.applyEuclidStructure(other.query(cycle, cycle + 1), offSteps, cycle));
+            }
+            return result;
+        }, pattern.cycles);
+    }
+    
+    // AUDIO EFFECT METHODS
+    
+    /**
+     * Stores an effect parameter as a fixed number or as a pattern of values
+     * Patterns (strings, arrays, PatternBuilders) are sampled at each event's onset
+     */
+    setEffect(name, value, convert) {
+        const pattern = typeof value === 'number' ? null : this.toPattern(value);
+        
+        if (typeof value === 'number') {
+            this.effects[name] = convert(value);
+            delete this.effectPatterns[name];
+        } else if (pattern) {
+            this.effectPatterns[name] = { pattern, convert, numeric: true };
+            delete this.effects[name];
+        } else {
+            this.tidal.validateType(value, 'number', name);
+        }
+        return this;
+    }
+    
+    /**
+     * Sets the gain/volume (0.0 to 2.0)
+     */
+    gain(value) {
+        return this.setEffect('gain', value, v => Math.max(0, Math.min(2, v)));
+    }
+    
+    /**
+     * Sets the stereo pan position (-1.0 to 1.0)
+     * Signals run from 0 to 1, so pan(sine) only moves right; use sine.range(-1, 1)
+     */
+    pan(value) {
+        return this.setEffect('pan', value, v => Math.max(-1, Math.min(1, v)));
+    }
+    
+    /**
+     * Applies low-pass filtering (removes high frequencies)
+     */
+    lpf(cutoff) {
+        return this.setEffect('lpf', cutoff, v => Math.max(20, Math.min(20000, v)));
+    }
+
+    /**
+     * Applies high-pass filtering (removes low frequencies)
+     */
+    hpf(cutoff) {
+        return this.setEffect('hpf', cutoff, v => Math.max(20, Math.min(20000, v)));
+    }
+
+    /**
+     * Applies band-pass filtering (keeps only middle frequencies)
+     */
+    bpf(cutoff) {
+        return this.setEffect('bpf', cutoff, v => Math.max(20, Math.min(20000, v)));
+    }
+
+    /**
+     * Sets the low-pass cutoff (same as lpf)
+     */
+    cutoff(frequency) {
+        return this.lpf(frequency);
+    }
+
+    /**
+     * Sets the low-pass filter resonance (Q, 0 to 50)
+     */
+    lpq(q) {
+        return this.setEffect('lpq', q, v => Math.max(0, Math.min(50, v)));
+    }
+
+    /**
+     * Sets the low-pass filter resonance (same as lpq)
+     */
+    resonance(q) {
+        return this.lpq(q);
+    }
+
+    /**
+     * Sets the high-pass filter resonance (Q, 0 to 50)
+     */
+    hpq(q) {
+        return this.setEffect('hpq', q, v => Math.max(0, Math.min(50, v)));
+    }
+
+    /**
+     * Sets the band-pass filter resonance (Q, 0 to 50); higher values narrow the band
+     */
+    bpq(q) {
+        return this.setEffect('bpq', q, v => Math.max(0, Math.min(50, v)));
+    }
+
+    /**
+     * Sets the depth of the low-pass filter envelope, in octaves above the cutoff
+     * Each note opens the filter over lpattack and closes it over lpdecay; negative depths dip
+     */
+    lpenv(octaves) {
+        return this.setEffect('lpenv', octaves, v => Math.max(-8, Math.min(8, v)));
+    }
+
+    /**
+     * Sets the filter envelope attack: seconds to open the low-pass filter
+     */
+    lpattack(seconds) {
+        return this.setEffect('lpattack', seconds, v => Math.max(0.001, Math.min(10, v)));
+    }
+
+    /**
+     * Sets the filter envelope decay: seconds to close the low-pass filter again
+     */
+    lpdecay(seconds) {
+        return this.setEffect('lpdecay', seconds, v => Math.max(0.001, Math.min(10, v)));
+    }
+
+    /**
+     * Sets the low- and high-pass filter slope: "12db" (default), "24db" or "ladder"
+     * Numbers pick them too, as 0 (12db), 1 (ladder) and 2 (24db)
+     */
+    ftype(type) {
+        const typePattern = typeof type === 'number' ? Pattern.pure({ sample: type }) : this.toPattern(type);
+        if (typePattern) {
+            const types = ['12db', 'ladder', '24db'];
+            const convert = v => types[parseInt(v)] ?? (types.includes(String(v).toLowerCase()) ? String(v).toLowerCase() : '12db');
+            this.effectPatterns.ftype = { pattern: typePattern, convert, numeric: false };
+            delete this.effects.ftype;
+        } else {
+            console.warn('ftype() expects "12db", "24db" or "ladder"');
+        }
+        return this;
+    }
+
+    /**
+     * Sends events to an orbit (0 by default), each with its own shared reverb and delay
+     */
+    orbit(n) {
+        return this.setEffect('orbit', n, v => Math.max(0, Math.floor(v)));
+    }
+
+    /**
+     * Sets how much of the sound goes to the orbit's delay (0-1)
+     */
+    delay(amount) {
+        return this.setEffect('delay', amount, v => Math.max(0, Math.min(1, v)));
+    }
+
+    /**
+     * Sets the orbit's delay time in seconds
+     */
+    delaytime(seconds) {
+        return this.setEffect('delaytime', seconds, v => Math.max(0.001, Math.min(2.0, v)));
+    }
+
+    /**
+     * Sets how much of the orbit's delay feeds back into itself (0-0.95)
+     */
+    delayfeedback(amount) {
+        return this.setEffect('delayfeedback', amount, v => Math.max(0, Math.min(0.95, v)));
+    }
+
+    /**
+     * Sets how much of the sound goes to the orbit's reverb (0-1)
+     */
+    room(amount) {
+        return this.setEffect('room', amount, v => Math.max(0, Math.min(1, v)));
+    }
+
+    /**
+     * Sets the size of the orbit's reverb, from a small room (0) to a long hall (1)
+     */
+    size(amount) {
+        return this.setEffect('size', amount, v => Math.max(0, Math.min(1, v)));
+    }
+
+    /**
+     * Removes the dry sound, leaving only the reverb and delay sends at 1
+     */
+    dry(amount) {
+        return this.setEffect('dry', amount, v => Math.max(0, Math.min(1, v)));
+    }
+
+    /**
+     * Adds reverb with a tail of the given seconds, a shorthand for room(0.5) on the orbit
+     */
+    reverb(seconds) {
+        return this.setEffect('reverb', seconds, v => Math.max(0.1, Math.min(5.0, v)));
+    }
+
+    /**
+     * Adds distortion effect
+     */
+    distortion(amount) {
+        return this.setEffect('distortion', amount, v => Math.max(1, Math.min(100, v)));
+    }
+
+    /**
+     * Adds bit-crushing effect (reduces bit depth)
+     */
+    crush(bits) {
+        return this.setEffect('crush', bits, v => Math.max(1, Math.min(16, Math.floor(v))));
+    }
+
+    /**
+     * Applies vowel formant filtering
+     * Simulates human vocal tract for vowel sounds (a, e, i, o, u)
+     * Accepts a pattern of vowels, e.g. vowel("<a e> o")
+     */
+    vowel(formant) {
+        const formantPattern = this.toPattern(formant);
+        if (formantPattern) {
+            // Formant frequencies for each vowel (F1, F2, F3)
+            const vowelFreqs = {
+                'a': [730, 1090, 2440],   // Open vowel - bright, forward
+                'e': [270, 2290, 3010],   // Mid-front vowel - clear, present  
+                'i': [300, 2320, 3200],   // High-front vowel - bright, thin
+                'o': [570, 840, 2410],    // Mid-back vowel - warm, round
+                'u': [440, 1020, 2240]    // High-back vowel - dark, muffled
+            };
+            
+            const convert = v => vowelFreqs[String(v).toLowerCase()] || vowelFreqs['a'];
+            this.effectPatterns.vowel = { pattern: formantPattern, convert, numeric: false };
+            delete this.effects.vowel;
+            
+            console.log('Applied vowel filter pattern:', formant);
+        } else {
+            console.warn('vowel() expects a string (a, e, i, o, u)');
         }
         return this;
     }
     
     /**
-     * Applies a rhythmic structure to a sound pattern
-     * Structure defines when sounds play, sound pattern defines what plays
+     * Fills in patterned effects for one event by sampling each at the event's onset
      */
-    struct(structPattern, soundPattern) {
-        try {
-            const structure = this.tidal.parseMiniNotation(structPattern);
-            
-            let sounds;
-            if (typeof soundPattern === 'string') {
-                sounds = this.tidal.parseMiniNotation(soundPattern);
-            } else if (Array.isArray(soundPattern)) {
-                sounds = this.parseArrayPattern(soundPattern);
-            } else if (soundPattern instanceof PatternBuilder) {
-                sounds = soundPattern.applyTransforms();
-            } else {
-                console.warn('Invalid sound pattern in struct():', typeof soundPattern);
-                sounds = [];
-            }
+    applyEffectPatterns(effects, time, effectPatterns = this.effectPatterns) {
+        for (const [name, { pattern, convert, numeric }] of Object.entries(effectPatterns)) {
+            const match = pattern.eventAt(time);
+            if (!match) continue;
             
-            this.pattern = this.applyStructure(structure, sounds);
-        } catch (error) {
-            console.error('Error in struct():', error);
-            this.pattern = [];
+            const value = numeric ? parseFloat(match.sample) : match.sample;
+            if (numeric && isNaN(value)) continue;
+            
+            effects[name] = convert(value);
         }
-        return this;
+        return effects;
     }
-    
+
     /**
-     * Concatenates patterns sequentially in time
-     * Each pattern gets equal time within a cycle
+     * Layers a transformed version on top of the original pattern
+     * One of the most powerful functions in live coding
      */
-    cat(patterns) {
+    superimpose(transformFn) {
         try {
-            if (!Array.isArray(patterns)) {
-                console.warn('cat() expects an array');
-                this.pattern = [];
+            if (!this.tidal.validateType(transformFn, 'function', 'superimpose function')) {
+                console.warn('superimpose() expects a function that transforms a pattern');
                 return this;
             }
             
-            const allEvents = [];
-            let currentTime = 0;
-            const totalPatterns = patterns.length;
-            
-            if (totalPatterns === 0) {
-                this.pattern = [];
+            if (!this.pattern) {
+                console.warn('No pattern to superimpose - create a pattern first');
                 return this;
             }
             
-            const patternDuration = 1 / totalPatterns;
+            // The copy starts from the fully processed pattern, effects included
+            const original = this.applyTransforms();
+            const copy = new PatternBuilder(this.tidal);
+            copy.pattern = original;
+            copy.channelId = this.tidal.channelCounter++;
             
-            patterns.forEach((pattern, index) => {
-                let patternEvents = [];
+            // Apply the transformation function to the copy
+            let transformedCopy;
+            try {
+                transformedCopy = transformFn(copy);
                 
-                try {
-                    if (pattern instanceof PatternBuilder) {
-                        patternEvents = this.tidal.deepClone(pattern.applyTransforms());
-                    } else if (typeof pattern === 'string') {
-                        patternEvents = this.tidal.parseMiniNotation(pattern);
-                    } else if (Array.isArray(pattern)) {
-                        patternEvents = this.parseArrayPattern(pattern);
-                    } else {
-                        console.warn('Invalid pattern type in cat():', typeof pattern);
-                        return;
-                    }
-                    
-                    // Scale and offset events to fit in their time slot
-                    const adjustedEvents = patternEvents.map(event => ({
-                        ...this.tidal.deepClone(event),
-                        time: currentTime + (event.time * patternDuration),
-                        duration: event.duration * patternDuration
-                    }));
-                    
-                    allEvents.push(...adjustedEvents);
-                } catch (patternError) {
-                    console.error(`Error processing pattern ${index} in cat():`, patternError);
+                if (!(transformedCopy instanceof PatternBuilder)) {
+                    console.warn('superimpose function must return a PatternBuilder');
+                    return this;
                 }
-                
-                currentTime += patternDuration;
-            });
+            } catch (transformError) {
+                console.error('Error in superimpose transform function:', transformError);
+                return this;
+            }
+            
+            // Both layers are already processed, so start afresh from the combination
+            this.pattern = Pattern.stack([original, transformedCopy.applyTransforms()]);
+            this.transforms = [];
+            this.effects = {};
+            this.effectPatterns = {};
+            this.musical = {};
+            
+            console.log('Superimposed transformed copy onto pattern');
             
-            this.pattern = allEvents;
         } catch (error) {
-            console.error('Error in cat():', error);
-            this.pattern = [];
+            console.error('Error in superimpose():', error);
         }
         return this;
     }
-    
+
     /**
-     * Converts an array to a pattern
-     * Each element becomes an event at the corresponding time step
+     * Adds another pattern sequentially after the current pattern
+     * Extends the pattern in time (multi-cycle)
      */
-    parseArrayPattern(arr) {
+    append(pattern) {
         try {
-            if (!Array.isArray(arr)) return [];
+            if (!this.pattern) {
+                console.warn('No base pattern to append to - create a pattern first');
+                return this;
+            }
             
-            const events = [];
-            const stepDuration = arr.length > 0 ? 1 / arr.length : 1;
+            // Parse the pattern to append based on its type
+            const next = this.toPattern(pattern);
+            if (next === null) {
+                console.warn('append() expects a string, array, or PatternBuilder');
+                return this;
+            }
             
-            arr.forEach((item, i) => {
-                if (item !== null && item !== undefined && item !== '~') {
-                    events.push({
-                        sample: item.toString(),
-                        time: i * stepDuration,
-                        duration: stepDuration
-                    });
-                }
-            });
+            // The current pattern plays for its own length, then the appended one for its length
+            this.pattern = Pattern.append([this.pattern, next]);
+            
+            console.log(`Appended pattern, now ${this.pattern.cycles} cycles long`);
             
-            return events;
         } catch (error) {
-            console.error('Error parsing array pattern:', error);
-            return [];
+            console.error('Error in append():', error);
         }
+        return this;
     }
-    
+
     /**
-     * Converts a function to a pattern
-     * Function receives time (0-1) and returns sample name or null
+     * Layers another pattern on top in the same time space
+     * Combines patterns simultaneously (not sequentially like append)
      */
-    parseFunctionPattern(fn) {
+    overlay(pattern) {
         try {
-            if (typeof fn !== 'function') return [];
-            
-            const steps = 16;
-            const events = [];
-            const stepDuration = 1 / steps;
+            if (!this.pattern) {
+                console.warn('No base pattern to overlay - create a pattern first');
+                return this;
+            }
             
-            for (let i = 0; i < steps; i++) {
-                try {
-                    const value = fn(i / steps);
-                    if (value && value !== '~') {
-                        events.push({
-                            sample: value.toString(),
-                            time: i * stepDuration,
-                            duration: stepDuration
-                        });
-                    }
-                } catch (fnError) {
-                    console.error(`Error in function pattern at step ${i}:`, fnError);
-                }
+            // Parse the pattern to overlay based on its type
+            const layer = this.toPattern(pattern);
+            if (layer === null) {
+                console.warn('overlay() expects a string, array, or PatternBuilder');
+                return this;
             }
             
-            return events;
+            // Overlay events stay in the same time space as the base pattern
+            this.pattern = Pattern.stack([this.pattern, layer]);
+            
+            console.log('Overlayed pattern onto base pattern');
+            
         } catch (error) {
-            console.error('Error parsing function pattern:', error);
-            return [];
+            console.error('Error in overlay():', error);
         }
+        return this;
     }
     
+    // SAMPLE CONTROL METHODS
+    
     /**
-     * Applies a structure pattern to sound events
-     * Structure events with 'x' or '*' trigger the next sound
+     * Sets the playback speed; negative speeds play the sample backwards
+     * Built-in synths are pitched by the same ratio
      */
-    applyStructure(structure, sounds) {
-        try {
-            const result = [];
-            let soundIndex = 0;
-            
-            for (const structEvent of structure) {
-                if (structEvent.sample === 'x' || structEvent.sample === '*') {
-                    if (sounds.length > 0) {
-                        const sound = sounds[soundIndex % sounds.length];
-                        result.push({
-                            sample: sound.sample,
-                            time: structEvent.time,
-                            duration: structEvent.duration
-                        });
-                        soundIndex++;
-                    }
-                }
-            }
-            
-            return result;
-        } catch (error) {
-            console.error('Error applying structure:', error);
-            return [];
-        }
+    speed(value) {
+        return this.setEffect('speed', value, v => Math.max(-32, Math.min(32, v)));
     }
     
-    // TIME TRANSFORMATION METHODS
+    /**
+     * Sets where playback starts, as a fraction of the sample (0 to 1)
+     */
+    begin(value) {
+        return this.setEffect('begin', value, v => Math.max(0, Math.min(1, v)));
+    }
     
     /**
-     * Makes the pattern faster by dividing event times
+     * Sets where playback ends, as a fraction of the sample (0 to 1)
      */
-    fast(factor) {
-        if (this.tidal.validateType(factor, 'number', 'fast factor')) {
-            this.transforms.push({type: 'fast', value: Math.max(0.1, factor)});
+    end(value) {
+        return this.setEffect('end', value, v => Math.max(0, Math.min(1, v)));
+    }
+    
+    /**
+     * Plays the sample (or its begin/end region) this many times in a row
+     */
+    loop(times) {
+        return this.setEffect('loop', times, v => Math.max(1, Math.min(64, Math.floor(v))));
+    }
+    
+    /**
+     * Sets the unit of speed: "r" (rate, the default) or "c" (whole sample plays per cycle)
+     * With "c", speed(1) stretches a sample to one cycle whatever the tempo
+     */
+    unit(value) {
+        const unitPattern = this.toPattern(value);
+        if (unitPattern) {
+            const convert = v => String(v).toLowerCase() === 'c' ? 'c' : 'r';
+            this.effectPatterns.unit = { pattern: unitPattern, convert, numeric: false };
+            delete this.effects.unit;
+        } else {
+            console.warn('unit() expects "r" or "c"');
         }
         return this;
     }
     
     /**
-     * Makes the pattern slower by multiplying event times
+     * Fits a sample to n cycles, changing its speed along with the tempo
+     * Slows the pattern by n, so loopAt(2) on a one-event pattern plays a break over two cycles
      */
-    slow(factor) {
-        if (this.tidal.validateType(factor, 'number', 'slow factor')) {
-            this.transforms.push({type: 'slow', value: Math.max(0.1, factor)});
+    loopAt(cycles) {
+        if (!this.tidal.validateType(cycles, 'number', 'loopAt cycles') || cycles <= 0) {
+            return this;
         }
+        
+        const speed = typeof this.effects.speed === 'number' ? this.effects.speed : 1;
+        this.slow(cycles);
+        this.speed(speed / cycles);
+        this.effects.unit = 'c';
+        delete this.effectPatterns.unit;
         return this;
     }
     
     /**
-     * Changes pattern density (same as fast)
+     * Puts sounds in a cut group: a new sound stops the one still playing in the same group
      */
-    density(factor) {
-        if (this.tidal.validateType(factor, 'number', 'density factor')) {
-            this.transforms.push({type: 'density', value: Math.max(0.1, factor)});
+    cut(group) {
+        return this.setEffect('cut', group, v => Math.floor(v));
+    }
+    
+    /**
+     * Cuts each event into n parts, each playing the next part of its sample
+     * e.g. sound("break").loopAt(2).chop(16) plays a break as 16 grains
+     */
+    chop(n) {
+        if (this.tidal.validateType(n, 'number', 'chop n')) {
+            this.transforms.push({ type: 'chop', value: Math.max(1, Math.min(256, Math.floor(n))) });
         }
         return this;
     }
     
     /**
-     * Reverses the pattern in time
+     * Plays the pattern n times per cycle, each time with the next part of every sample
      */
-    rev() {
-        this.transforms.push({type: 'rev'});
+    striate(n) {
+        if (this.tidal.validateType(n, 'number', 'striate n')) {
+            this.transforms.push({ type: 'striate', value: Math.max(1, Math.min(256, Math.floor(n))) });
+        }
         return this;
     }
     
     /**
-     * Applies a transformation every N cycles
+     * Cuts samples into n slices and plays them in the order of an index pattern
+     * e.g. sound("break").slice(8, "7 6 5 4 3 2 1 0") plays a break backwards slice by slice
      */
-    every(n, transformFn) {
-        if (this.tidal.validateType(n, 'number', 'every n') && 
-            this.tidal.validateType(transformFn, 'function', 'every function')) {
-            this.transforms.push({type: 'every', value: Math.max(1, Math.floor(n)), fn: transformFn});
+    slice(n, indices) {
+        const indexPattern = this.toPattern(indices);
+        if (this.tidal.validateType(n, 'number', 'slice n') && indexPattern) {
+            this.transforms.push({ type: 'slice', value: Math.max(1, Math.floor(n)), indexPattern });
+        } else if (!indexPattern) {
+            console.warn('slice() expects a pattern of slice numbers, e.g. slice(4, "0 2 1 3")');
         }
         return this;
     }
     
     /**
-     * Applies a transformation randomly (50% chance by default)
+     * Like slice, but changes the speed of each slice to fill its event exactly
      */
-    sometimes(transformFn, prob = 0.5) {
-        if (this.tidal.validateType(transformFn, 'function', 'sometimes function')) {
-            const safeProbability = Math.max(0, Math.min(1, prob));
-            this.transforms.push({type: 'sometimes', fn: transformFn, prob: safeProbability});
+    splice(n, indices) {
+        const indexPattern = this.toPattern(indices);
+        if (this.tidal.validateType(n, 'number', 'splice n') && indexPattern) {
+            this.transforms.push({ type: 'splice', value: Math.max(1, Math.floor(n)), indexPattern });
+        } else if (!indexPattern) {
+            console.warn('splice() expects a pattern of slice numbers, e.g. splice(4, "0 2 1 3")');
         }
         return this;
     }
     
     /**
-     * Applies a transformation often (75% chance)
+     * Plays a random one of n slices of the sample for each event
      */
-    often(fn) {
-        return this.sometimes(fn, 0.75);
+    randslice(n) {
+        if (this.tidal.validateType(n, 'number', 'randslice n')) {
+            this.transforms.push({ type: 'randslice', value: Math.max(1, Math.floor(n)) });
+        }
+        return this;
     }
-
+    
+    // ENVELOPE METHODS
+    
     /**
-     * Applies a transformation rarely (25% chance)
+     * Sets how long each sound lasts relative to its event (1 = until the next event)
      */
-    rarely(fn) {
-        return this.sometimes(fn, 0.25);
+    legato(value) {
+        return this.setEffect('legato', value, v => Math.max(0, Math.min(16, v)));
     }
-
+    
     /**
-     * Applies a transformation almost never (10% chance)
+     * Sets how long each sound is held, in seconds, before it releases
      */
-    almostNever(fn) {
-        return this.sometimes(fn, 0.1);
+    hold(seconds) {
+        return this.setEffect('hold', seconds, v => Math.max(0, Math.min(30, v)));
     }
-
+    
     /**
-     * Applies a transformation almost always (90% chance)
+     * Sets the envelope attack: seconds to rise to full level
      */
-    almostAlways(fn) {
-        return this.sometimes(fn, 0.9);
+    attack(seconds) {
+        return this.setEffect('attack', seconds, v => Math.max(0.001, Math.min(10, v)));
     }
-
+    
     /**
-     * Applies a transformation when (cycle % n) equals offset
+     * Sets the envelope decay: seconds to fall from full level to the sustain level
      */
-    whenmod(n, offset, fn) {
-        if (this.tidal.validateType(n, 'number', 'whenmod n') && 
-            this.tidal.validateType(offset, 'number', 'whenmod offset') &&
-            this.tidal.validateType(fn, 'function', 'whenmod function')) {
-            this.transforms.push({ 
-                type: 'whenmod', 
-                n: Math.max(1, Math.floor(n)), 
-                offset: Math.max(0, Math.floor(offset)), 
-                fn 
-            });
-        }
+    decay(seconds) {
+        return this.setEffect('decay', seconds, v => Math.max(0.001, Math.min(10, v)));
+    }
+    
+    /**
+     * Sets the envelope sustain level (0 to 1), held until the event ends
+     * With a sustain level, synths last for their event (or hold/legato) instead of decaying away
+     */
+    sustain(level) {
+        return this.setEffect('sustain', level, v => Math.max(0, Math.min(1, v)));
+    }
+    
+    /**
+     * Sets the envelope release: seconds to fade out once the note is over
+     */
+    release(seconds) {
+        return this.setEffect('release', seconds, v => Math.max(0.005, Math.min(10, v)));
+    }
+    
+    // MUSICAL PARAMETER METHODS
+    
+    /**
+     * Sets sample number/variation
+     */
+    n(pattern) {
+        this.musical.n = pattern;
         return this;
     }
     
-    // AUDIO EFFECT METHODS
+    /**
+     * Sets musical note (c, d, e, f, g, a, b with optional # or b)
+     */
+    note(pattern) {
+        this.musical.note = pattern;
+        return this;
+    }
     
     /**
-     * Sets the gain/volume (0.0 to 2.0)
+     * Transposes by semitones
      */
-    gain(value) {
-        if (this.tidal.validateType(value, 'number', 'gain')) {
-            this.effects.gain = Math.max(0, Math.min(2, value));
-        }
+    up(pattern) {
+        this.musical.up = pattern;
         return this;
     }
     
     /**
-     * Sets the stereo pan position (-1.0 to 1.0)
+     * Sets frequency directly in Hz
      */
-    pan(value) {
-        if (this.tidal.validateType(value, 'number', 'pan')) {
-            this.effects.pan = Math.max(-1, Math.min(1, value));
-        }
+    freq(pattern) {
+        this.musical.freq = pattern;
         return this;
     }
     
     /**
-     * Applies low-pass filtering (removes high frequencies)
+     * Sets MIDI note number (0-127)
      */
-    lpf(cutoff) {
-        if (this.tidal.validateType(cutoff, 'number', 'lpf')) {
-            this.effects.lpf = Math.max(20, Math.min(20000, cutoff));
-        }
+    midinote(pattern) {
+        this.musical.midinote = pattern;
         return this;
     }
-
+    
     /**
-     * Applies high-pass filtering (removes low frequencies)
+     * Plays the n values as degrees of a scale, e.g. n("0 2 4 <6 7>").scale("c:minor")
+     * Takes a name like "c:minor" or "d dorian", or a pattern of names like "<c:major a:minor>"
      */
-    hpf(cutoff) {
-        if (this.tidal.validateType(cutoff, 'number', 'hpf')) {
-            this.effects.hpf = Math.max(20, Math.min(20000, cutoff));
+    scale(name) {
+        const fixed = this.tidal.parseScale(name);
+        const pattern = fixed ? null : this.toPattern(name);
+        const known = pattern && pattern.query(0, 1).some(event => this.tidal.parseScale(event.sample));
+        
+        if (fixed || known) {
+            this.musical.scale = name;
+        } else {
+            console.warn(`Unknown scale: ${name}`);
         }
         return this;
     }
-
+    
     /**
-     * Applies band-pass filtering (keeps only middle frequencies)
+     * Returns a function giving the scale at a time, from a scale name or a pattern of names
      */
-    bpf(cutoff) {
-        if (this.tidal.validateType(cutoff, 'number', 'bpf')) {
-            this.effects.bpf = Math.max(20, Math.min(20000, cutoff));
-        }
-        return this;
+    getScaleAt(name) {
+        const fixed = this.tidal.parseScale(name);
+        if (fixed) return () => fixed;
+        
+        const pattern = this.toPattern(name);
+        return time => {
+            const match = pattern ? pattern.eventAt(time) : null;
+            return match ? this.tidal.parseScale(match.sample) : null;
+        };
     }
-
+    
     /**
-     * Adds delay/echo effect
+     * Turns the n values of events into midinotes of a scale
      */
-    delay(time) {
-        if (this.tidal.validateType(time, 'number', 'delay')) {
-            this.effects.delay = Math.max(0.001, Math.min(2.0, time));
-        }
-        return this;
+    applyScale(pattern, name) {
+        const scaleAt = this.getScaleAt(name);
+        
+        return pattern.withEvent(event => {
+            const scale = typeof event.musical?.n === 'number' ? scaleAt(event.time) : null;
+            if (!scale) return event;
+            
+            const { n, ...musical } = event.musical;
+            return { ...event, musical: { ...musical, midinote: this.tidal.scaleDegreeToMidi(n, scale) } };
+        });
     }
-
+    
     /**
-     * Adds reverb effect
+     * Maps a pattern of scale degrees to a pattern of midinotes
+     * Used by the global scale("c:minor", "0 2 4 7"), whose result suits midinote()
      */
-    reverb(amount) {
-        if (this.tidal.validateType(amount, 'number', 'reverb')) {
-            this.effects.reverb = Math.max(0.1, Math.min(5.0, amount));
+    scaleDegrees(name, degrees) {
+        const degreePattern = typeof degrees === 'number' ? Pattern.pure({ sample: degrees }) : this.toPattern(degrees);
+        if (!degreePattern) {
+            console.warn('scale() expects a pattern of scale degrees, e.g. scale("c:minor", "0 2 4 7")');
+            return Pattern.silence();
         }
-        return this;
+        
+        const scaleAt = this.getScaleAt(name);
+        const toMidi = (degree, time) => {
+            const scale = scaleAt(time);
+            return scale ? this.tidal.scaleDegreeToMidi(degree, scale) : degree;
+        };
+        
+        const pattern = degreePattern.withEvent(event => ({ ...event, sample: toMidi(event.sample, event.time) }));
+        if (degreePattern.signal) {
+            pattern.signal = time => toMidi(degreePattern.signal(time), time);
+        }
+        return pattern;
     }
-
+    
     /**
-     * Adds distortion effect
+     * Plays each event as a chord, e.g. sound("arpy*2").chord("<Cm7 F7 Bbmaj7>")
+     * Takes jazz symbols or Tidal's "c'maj e'min7'ii" form; notes play as simultaneous events
      */
-    distortion(amount) {
-        if (this.tidal.validateType(amount, 'number', 'distortion')) {
-            this.effects.distortion = Math.max(1, Math.min(100, amount));
+    chord(symbols) {
+        const pattern = this.toPattern(symbols);
+        if (pattern && pattern.query(0, 1).some(event => this.tidal.parseChord(String(event.sample)))) {
+            this.musical.chord = symbols;
+        } else {
+            console.warn(`Unknown chord: ${symbols}`);
         }
         return this;
     }
-
+    
     /**
-     * Adds bit-crushing effect (reduces bit depth)
+     * Sets a voicing option for the chords of this pattern
      */
-    crush(bits) {
-        if (this.tidal.validateType(bits, 'number', 'crush')) {
-            this.effects.crush = Math.max(1, Math.min(16, Math.floor(bits)));
-        }
+    setVoicing(name, value) {
+        this.musical.voicing = { ...this.musical.voicing, [name]: value };
         return this;
     }
-
+    
     /**
-     * Applies vowel formant filtering
-     * Simulates human vocal tract for vowel sounds (a, e, i, o, u)
+     * Fits chords between two notes (names or MIDI numbers), keeping them close together
+     * Chooses the inversion and octave of each chord nearest the middle of the range
      */
-    vowel(formant) {
-        if (this.tidal.validateType(formant, 'string', 'vowel formant')) {
-            // Formant frequencies for each vowel (F1, F2, F3)
-            const vowelFreqs = {
-                'a': [730, 1090, 2440],   // Open vowel - bright, forward
-                'e': [270, 2290, 3010],   // Mid-front vowel - clear, present  
-                'i': [300, 2320, 3200],   // High-front vowel - bright, thin
-                'o': [570, 840, 2410],    // Mid-back vowel - warm, round
-                'u': [440, 1020, 2240]    // High-back vowel - dark, muffled
-            };
-            
-            const freqs = vowelFreqs[formant.toLowerCase()] || vowelFreqs['a'];
-            this.effects.vowel = freqs;
-            
-            console.log(`Applied vowel filter "${formant}" with formants:`, freqs);
-        } else {
-            console.warn('vowel() expects a string (a, e, i, o, u)');
+    voicing(low = 'e4', high = 'g6') {
+        const toMidi = value => typeof value === 'number' ? value : this.tidal.noteToMidi(value);
+        const range = [toMidi(low), toMidi(high)];
+        if (range[1] - range[0] < 12) {
+            console.warn('voicing() needs a range of at least an octave');
+            return this;
         }
-        return this;
+        return this.setVoicing('range', range);
     }
-
+    
     /**
-     * Layers a transformed version on top of the original pattern
-     * One of the most powerful functions in live coding
+     * Inverts chords n times: each inversion moves the lowest note up an octave
      */
-    superimpose(transformFn) {
-        try {
-            if (!this.tidal.validateType(transformFn, 'function', 'superimpose function')) {
-                console.warn('superimpose() expects a function that transforms a pattern');
-                return this;
-            }
-            
-            if (!this.pattern || this.pattern.length === 0) {
-                console.warn('No pattern to superimpose - create a pattern first');
-                return this;
-            }
-            
-            // Create a complete copy of the current PatternBuilder
-            const copy = new PatternBuilder(this.tidal);
-            copy.pattern = this.tidal.deepClone(this.pattern);
-            copy.transforms = this.tidal.deepClone(this.transforms);
-            copy.effects = this.tidal.deepClone(this.effects);
-            copy.musical = this.tidal.deepClone(this.musical);
-            copy.channelId = this.tidal.channelCounter++;
-            
-            // Apply the transformation function to the copy
-            let transformedCopy;
-            try {
-                transformedCopy = transformFn(copy);
-                
-                if (!(transformedCopy instanceof PatternBuilder)) {
-                    console.warn('superimpose function must return a PatternBuilder');
-                    return this;
-                }
-            } catch (transformError) {
-                console.error('Error in superimpose transform function:', transformError);
-                return this;
-            }
-            
-            // Get the fully processed events from the transformed copy
-            const transformedEvents = transformedCopy.applyTransforms();
-            
-            // Combine original and transformed events
-            const originalEvents = this.tidal.deepClone(this.pattern);
-            const combinedEvents = [...originalEvents, ...this.tidal.deepClone(transformedEvents)];
-            
-            this.pattern = combinedEvents;
-            
-            console.log(`Superimposed pattern: ${originalEvents.length} original + ${transformedEvents.length} transformed = ${combinedEvents.length} total events`);
-            
-        } catch (error) {
-            console.error('Error in superimpose():', error);
+    inversion(n) {
+        if (this.tidal.validateType(n, 'number', 'inversion')) {
+            this.setVoicing('inversion', Math.floor(n));
         }
         return this;
     }
-
+    
     /**
-     * Adds another pattern sequentially after the current pattern
-     * Extends the pattern in time (multi-cycle)
+     * Spreads chords out by dropping their first and third notes an octave
      */
-    append(pattern) {
-        try {
-            if (!this.pattern || this.pattern.length === 0) {
-                console.warn('No base pattern to append to - create a pattern first');
-                return this;
-            }
-            
-            let appendEvents = [];
-            
-            // Parse the pattern to append based on its type
-            if (pattern instanceof PatternBuilder) {
-                appendEvents = this.tidal.deepClone(pattern.applyTransforms());
-            } else if (typeof pattern === 'string') {
-                appendEvents = this.tidal.parseMiniNotation(pattern);
-            } else if (Array.isArray(pattern)) {
-                appendEvents = this.parseArrayPattern(pattern);
-            } else {
-                console.warn('append() expects a string, array, or PatternBuilder');
-                return this;
-            }
-            
-            if (appendEvents.length === 0) {
-                console.warn('Nothing to append - pattern is empty');
-                return this;
-            }
-            
-            // Find where the current pattern ends
-            let maxEndTime = 0;
-            for (const event of this.pattern) {
-                const eventEnd = event.time + (event.duration || 0);
-                if (eventEnd > maxEndTime) {
-                    maxEndTime = eventEnd;
-                }
-            }
-            
-            const nextCycleStart = Math.ceil(maxEndTime);
-            
-            console.log(`Current pattern ends at time ${maxEndTime}, appending at cycle ${nextCycleStart}`);
-            
-            // Shift append events to start at the next cycle
-            const shiftedEvents = appendEvents.map(event => {
-                const newEvent = {
-                    ...this.tidal.deepClone(event),
-                    time: event.time + nextCycleStart,
-                    duration: event.duration
-                };
-                console.log(`Shifting event "${event.sample}" from time ${event.time} to ${newEvent.time}`);
-                return newEvent;
-            });
-            
-            this.pattern = [...this.pattern, ...shiftedEvents];
-            
-            console.log(`Pattern now has ${this.pattern.length} events spanning ${Math.ceil(Math.max(...this.pattern.map(e => e.time + e.duration)))} cycles`);
-            console.log('Complete pattern:', this.pattern.map(e => `${e.sample}@${e.time}`));
-            
-        } catch (error) {
-            console.error('Error in append():', error);
-        }
-        return this;
+    open() {
+        return this.setVoicing('open', true);
     }
-
+    
     /**
-     * Layers another pattern on top in the same time space
-     * Combines patterns simultaneously (not sequentially like append)
+     * Drops the nth note from the top of each chord an octave
      */
-    overlay(pattern) {
-        try {
-            if (!this.pattern || this.pattern.length === 0) {
-                console.warn('No base pattern to overlay - create a pattern first');
-                return this;
-            }
-            
-            let overlayEvents = [];
-            
-            // Parse the pattern to overlay based on its type
-            if (pattern instanceof PatternBuilder) {
-                overlayEvents = this.tidal.deepClone(pattern.applyTransforms());
-            } else if (typeof pattern === 'string') {
-                overlayEvents = this.tidal.parseMiniNotation(pattern);
-            } else if (Array.isArray(pattern)) {
-                overlayEvents = this.parseArrayPattern(pattern);
-            } else {
-                console.warn('overlay() expects a string, array, or PatternBuilder');
-                return this;
-            }
-            
-            if (overlayEvents.length === 0) {
-                console.warn('Nothing to overlay - pattern is empty');
-                return this;
-            }
-            
-            // Overlay events stay in the same time space (0-1 cycle)
-            const clonedOverlayEvents = this.tidal.deepClone(overlayEvents);
-            
-            this.pattern = [...this.pattern, ...clonedOverlayEvents];
-            
-            console.log(`Overlayed ${overlayEvents.length} events. Pattern now has ${this.pattern.length} total events`);
-            console.log('Overlay events:', overlayEvents.map(e => `${e.sample}@${e.time}`));
-            
-        } catch (error) {
-            console.error('Error in overlay():', error);
+    drop(n) {
+        if (this.tidal.validateType(n, 'number', 'drop')) {
+            this.setVoicing('drop', Math.max(1, Math.floor(n)));
         }
         return this;
     }
     
-    // MUSICAL PARAMETER METHODS
+    /**
+     * Drops the second note from the top of each chord an octave (drop 2 voicing)
+     */
+    drop2() {
+        return this.drop(2);
+    }
     
     /**
-     * Sets sample number/variation
+     * Plays the notes of each chord one after another across its step
+     * Modes: up, down, updown, downup, up&down, down&up, converge, diverge, disconverge,
+     * pinkyup, pinkyupdown, thumbup and thumbupdown; a pattern of modes, e.g. arp("<up down>")
      */
-    n(pattern) {
-        this.musical.n = pattern;
+    arp(modes = 'up') {
+        const modePattern = this.toPattern(modes);
+        const known = modePattern && modePattern.query(0, 1).every(event => this.arpOrder([0], String(event.sample)));
+        
+        if (known) {
+            this.transforms.push({ type: 'arp', modePattern });
+        } else {
+            console.warn(`Unknown arp mode: ${modes}`);
+        }
         return this;
     }
     
     /**
-     * Sets musical note (c, d, e, f, g, a, b with optional # or b)
+     * Plays the notes of each chord upwards, one after another (same as arp("up"))
      */
-    note(pattern) {
-        this.musical.note = pattern;
-        return this;
+    arpeggiate() {
+        return this.arp('up');
     }
     
     /**
-     * Transposes by semitones
+     * Orders the notes of a chord for an arpeggio mode, or returns null for unknown modes
      */
-    up(pattern) {
-        this.musical.up = pattern;
-        return this;
+    arpOrder(notes, mode) {
+        const reversed = list => [...list].reverse();
+        // Up then down without repeating the top or the bottom note
+        const upDown = list => list.length < 2 ? list : [...list.slice(0, -1), ...reversed(list).slice(0, -1)];
+        const converge = list => {
+            const result = [];
+            for (let low = 0, high = list.length - 1; low <= high; low++, high--) {
+                result.push(list[low]);
+                if (low < high) result.push(list[high]);
+            }
+            return result;
+        };
+        const pinkyUp = list => list.length < 2 ? list : list.slice(0, -1).flatMap(note => [note, list[list.length - 1]]);
+        const thumbUp = list => list.length < 2 ? list : list.slice(1).flatMap(note => [list[0], note]);
+        
+        switch (mode) {
+            case 'up':
+                return notes;
+            case 'down':
+                return reversed(notes);
+            case 'updown':
+                return upDown(notes);
+            case 'downup':
+                return upDown(reversed(notes));
+            case 'up&down':
+                return [...notes, ...reversed(notes)];
+            case 'down&up':
+                return [...reversed(notes), ...notes];
+            case 'converge':
+                return converge(notes);
+            case 'diverge':
+                return reversed(converge(notes));
+            case 'disconverge':
+                return [...converge(notes), ...reversed(converge(notes)).slice(1)];
+            case 'pinkyup':
+                return pinkyUp(notes);
+            case 'pinkyupdown':
+                return upDown(pinkyUp(notes));
+            case 'thumbup':
+                return thumbUp(notes);
+            case 'thumbupdown':
+                return upDown(thumbUp(notes));
+            default:
+                return null;
+        }
     }
     
     /**
-     * Sets frequency directly in Hz
+     * Spreads events sharing an onset (a chord) across their step, in the order of an arp mode
+     * The mode is read from the mode pattern at each chord's onset
      */
-    freq(pattern) {
-        this.musical.freq = pattern;
-        return this;
+    applyArp(pattern, modePattern) {
+        const lookback = Math.max(0, pattern.cycles - 1);
+        
+        return Pattern.cycleWise(cycle => {
+            const chords = new Map();
+            for (const event of pattern.query(cycle - lookback, cycle + 1)) {
+                const key = event.time.toString();
+                if (!chords.has(key)) chords.set(key, []);
+                chords.get(key).push(event);
+            }
+            
+            return Array.from(chords.values()).flatMap(notes => {
+                const match = modePattern.eventAt(notes[0].time);
+                const ordered = this.arpOrder(notes, match ? String(match.sample) : 'up') || notes;
+                const duration = notes[0].duration.div(ordered.length);
+                
+                return ordered.map((event, i) => ({
+                    ...event,
+                    time: notes[0].time.add(duration.mul(i)),
+                    duration
+                }));
+            });
+        }, pattern.cycles);
     }
     
     /**
-     * Sets MIDI note number (0-127)
+     * Expands events carrying a chord into one simultaneous event per chord note
      */
-    midinote(pattern) {
-        this.musical.midinote = pattern;
-        return this;
+    applyChords(pattern, voicing = {}) {
+        return new Pattern((begin, end) => pattern.query(begin, end).flatMap(event => {
+            if (event.musical?.chord === undefined) return [event];
+            
+            const { chord: symbol, note, ...musical } = event.musical;
+            const chord = Array.isArray(symbol)
+                ? this.tidal.chordFromNotes(symbol)
+                : this.tidal.parseChord(String(symbol));
+            if (!chord) return [{ ...event, musical }];
+            
+            return this.tidal.voiceChord(chord, voicing).map(midinote => ({
+                ...event,
+                musical: { ...musical, midinote }
+            }));
+        }), pattern.cycles);
     }
     
     /**
@@ -1982,36 +4919,66 @@ class PatternBuilder {
         return this;
     }
     
+    /**
+     * Extracts the values of a musical pattern for a cycle
+     * Strings and PatternBuilders are evaluated per cycle, so <> alternations advance
+     */
+    getMusicalValues(musicalPattern, cycle = 0, stacked = false) {
+        if (Array.isArray(musicalPattern)) {
+            return musicalPattern.filter(v => v !== undefined && v !== null && v !== '~');
+        }
+        
+        const pattern = this.toPattern(musicalPattern);
+        if (pattern) {
+            const musicEvents = pattern.query(cycle, cycle + 1).filter(e => e.sample && e.sample !== '~');
+            if (!stacked) {
+                return musicEvents.map(e => e.sample);
+            }
+            
+            // Values sharing an onset, like "c,e,g" or "[c,e,g] a", form one list (a chord)
+            const groups = new Map();
+            for (const event of [...musicEvents].sort((a, b) => a.time.compare(b.time))) {
+                const key = event.time.toString();
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(event.sample);
+            }
+            return Array.from(groups.values(), group => group.length > 1 ? group : group[0]);
+        }
+        return [musicalPattern];
+    }
+    
     /**
      * Applies musical patterns to events with automatic pattern expansion
      * Handles cases where musical patterns are longer than sound patterns
      */
-    applyMusicalPatterns() {
-        if (!this.pattern) return [];
+    applyMusicalPatterns(source, musical) {
+        const { scale, voicing, ...values } = musical;
+        let pattern = source;
         
+        if (Object.keys(values).length > 0) {
+            pattern = Pattern.cycleWise(cycle => this.applyMusicalValues(source.query(cycle, cycle + 1), values, cycle), source.cycles);
+        }
+        // Chords expand once every musical value is in place, then scale degrees are read from n
+        pattern = this.applyChords(pattern, voicing);
+        return scale !== undefined ? this.applyScale(pattern, scale) : pattern;
+    }
+    
+    /**
+     * Assigns musical values to the events of one cycle by index
+     */
+    applyMusicalValues(events, musical, cycle) {
         try {
-            let pattern = this.tidal.deepClone(this.pattern);
+            let pattern = events;
+            const stackable = ['note', 'n', 'up', 'midinote'];
             
             // Determine if we need pattern expansion
             let needsExpansion = false;
             let maxPatternLength = pattern.length;
             
             // Check all musical patterns to find the maximum length
-            for (const [musicalType, musicalPattern] of Object.entries(this.musical)) {
-                if (musicalPattern !== undefined) {
-                    let values = [];
-                    
-                    if (typeof musicalPattern === 'string') {
-                        const musicEvents = this.tidal.parseMiniNotation(musicalPattern);
-                        values = musicEvents.map(e => e.sample).filter(s => s && s !== '~');
-                    } else if (Array.isArray(musicalPattern)) {
-                        values = musicalPattern.filter(v => v !== undefined && v !== null && v !== '~');
-                    } else if (musicalPattern instanceof PatternBuilder) {
-                        const patternEvents = musicalPattern.applyTransforms();
-                        values = patternEvents.map(e => e.sample).filter(s => s && s !== '~');
-                    } else {
-                        values = [musicalPattern];
-                    }
+            for (const [musicalType, musicalPattern] of Object.entries(musical)) {
+                if (musicalPattern !== undefined && !(musicalPattern instanceof Pattern && musicalPattern.signal)) {
+                    const values = this.getMusicalValues(musicalPattern, cycle, stackable.includes(musicalType));
                     
                     if (values.length > maxPatternLength) {
                         maxPatternLength = values.length;
@@ -2021,12 +4988,12 @@ class PatternBuilder {
             }
             
             // Expand base pattern if needed
-            if (needsExpansion && maxPatternLength > pattern.length) {
+            if (needsExpansion && maxPatternLength > pattern.length && pattern.length > 0) {
                 const expandedPattern = [];
                 for (let i = 0; i < maxPatternLength; i++) {
                     const sourceEvent = pattern[i % pattern.length];
-                    const eventTime = i / maxPatternLength;
-                    const eventDuration = 1 / maxPatternLength;
+                    const eventTime = new Fraction(i, maxPatternLength).add(cycle);
+                    const eventDuration = new Fraction(1, maxPatternLength);
                     
                     expandedPattern.push({
                         ...this.tidal.deepClone(sourceEvent),
@@ -2038,24 +5005,14 @@ class PatternBuilder {
             }
             
             // Apply musical patterns to the (possibly expanded) pattern
-            for (const [musicalType, musicalPattern] of Object.entries(this.musical)) {
+            for (const [musicalType, musicalPattern] of Object.entries(musical)) {
                 if (musicalPattern !== undefined) {
-                    let values = [];
-                    
                     try {
-                        if (typeof musicalPattern === 'string') {
-                            const musicEvents = this.tidal.parseMiniNotation(musicalPattern);
-                            values = musicEvents.map(e => e.sample).filter(s => s && s !== '~');
-                        } else if (Array.isArray(musicalPattern)) {
-                            values = musicalPattern.filter(v => v !== undefined && v !== null && v !== '~');
-                        } else if (musicalPattern instanceof PatternBuilder) {
-                            const patternEvents = musicalPattern.applyTransforms();
-                            values = patternEvents.map(e => e.sample).filter(s => s && s !== '~');
-                        } else {
-                            values = [musicalPattern];
-                        }
+                        // Continuous signals are sampled at each event's onset instead of by index
+                        const signal = musicalPattern instanceof Pattern ? musicalPattern.signal : null;
+                        const values = signal ? [] : this.getMusicalValues(musicalPattern, cycle, stackable.includes(musicalType));
                         
-                        if (values.length === 0) continue;
+                        if (!signal && values.length === 0) continue;
                         
                         pattern = pattern.map((event, i) => {
                             // Skip applying musical patterns to silence events
@@ -2063,19 +5020,22 @@ class PatternBuilder {
                                 return event;
                             }
                             
-                            const value = values[i % values.length];
+                            const value = signal ? signal(event.time.valueOf()) : values[i % values.length];
                             let numericValue = value;
                             
                             try {
                                 if (musicalType === 'note') {
                                     if (typeof value === 'string' && value.match(/^[a-g][sb#]?\d*$/i)) {
                                         numericValue = value;
+                                    } else if (Array.isArray(value) || (typeof value === 'string' && value.includes("'"))) {
+                                        // Chords like "c'maj'ii" or "c,e,g" expand into their notes in applyChords
+                                        return { ...event, musical: { ...event.musical, chord: value } };
                                     } else {
                                         return event;
                                     }
                                 } else if (musicalType === 'n' || musicalType === 'up' || musicalType === 'midinote') {
-                                    const parsed = parseInt(value);
-                                    numericValue = isNaN(parsed) ? 0 : parsed;
+                                    const toNumber = v => isNaN(parseInt(v)) ? 0 : parseInt(v);
+                                    numericValue = Array.isArray(value) ? value.map(toNumber) : toNumber(value);
                                 } else if (musicalType === 'freq') {
                                     const parsed = parseFloat(value);
                                     numericValue = isNaN(parsed) ? 440 : parsed;
@@ -2099,64 +5059,151 @@ class PatternBuilder {
                 }
             }
             
+            // Stacked numbers like n("0,2,4") play together, one simultaneous event per value
+            for (const musicalType of ['n', 'up', 'midinote']) {
+                pattern = pattern.flatMap(event => Array.isArray(event.musical?.[musicalType])
+                    ? event.musical[musicalType].map(value => ({ ...event, musical: { ...event.musical, [musicalType]: value } }))
+                    : [event]);
+            }
+            
             return pattern;
         } catch (error) {
             console.error('Error in applyMusicalPatterns:', error);
-            return this.pattern || [];
+            return events;
+        }
+    }
+    
+    /**
+     * Gives events the builder's begin, end and speed before the first transform that slices them
+     * Slicing works within each event's play range, so the builder's values must not override it later
+     */
+    foldPlayRange(pattern) {
+        const fixedEffects = {};
+        const effectPatterns = {};
+        for (const key of ['begin', 'end', 'speed']) {
+            if (key in this.effects) fixedEffects[key] = this.effects[key];
+            if (key in this.effectPatterns) effectPatterns[key] = this.effectPatterns[key];
         }
+        
+        return pattern.withEvent(event => ({
+            ...event,
+            effects: this.applyEffectPatterns({ ...event.effects, ...fixedEffects }, event.time, effectPatterns)
+        }));
     }
     
     /**
      * Applies all transforms and effects to create the final pattern
-     * This is where the pattern gets processed before playback
+     * The result is a snapshot: later changes to this builder do not affect it
      */
     applyTransforms() {
+        if (!this.pattern) return Pattern.silence();
+        
         try {
-            let pattern = this.applyMusicalPatterns();
+            let pattern = this.applyMusicalPatterns(this.pattern, { ...this.musical });
+            let playRangeFolded = false;
             
             // Apply each transform in order
             for (const transform of this.transforms) {
                 try {
+                    if (!playRangeFolded && ['chop', 'striate', 'slice', 'splice', 'randslice'].includes(transform.type)) {
+                        pattern = this.foldPlayRange(pattern);
+                        playRangeFolded = true;
+                    }
+                    
                     switch (transform.type) {
                         case 'fast':
                         case 'density':
-                            pattern = pattern.map(event => ({
-                                ...this.tidal.deepClone(event),
-                                time: event.time / transform.value,
-                                duration: event.duration / transform.value
-                            }));
+                            pattern = pattern.fast(transform.value);
                             break;
                         case 'slow':
-                            pattern = pattern.map(event => ({
-                                ...this.tidal.deepClone(event),
-                                time: event.time * transform.value,
-                                duration: event.duration * transform.value
-                            }));
+                            pattern = pattern.slow(transform.value);
                             break;
                         case 'rev':
-                            pattern = pattern.map(event => ({
-                                ...this.tidal.deepClone(event),
-                                time: Math.max(0, 1 - event.time - event.duration)
-                            })).reverse();
+                            pattern = pattern.rev();
                             break;
                         case 'every':
-                            pattern = pattern.map(event => ({
-                                ...this.tidal.deepClone(event),
-                                everyTransform: { n: transform.value, fn: transform.fn }
-                            }));
+                            pattern = this.applyWhen(pattern, transform.fn, cycle => {
+                                const n = Math.floor(this.resolveNumber(transform.value, cycle));
+                                return n > 0 && cycle % n === 0;
+                            });
                             break;
                         case 'sometimes':
-                            pattern = pattern.map(event => ({
-                                ...this.tidal.deepClone(event),
-                                sometimesTransform: { fn: transform.fn, prob: transform.prob }
-                            }));
+                            pattern = this.applySometimes(pattern, transform);
+                            break;
+                        case 'someCyclesBy':
+                            pattern = this.applyWhen(pattern, transform.fn, cycle =>
+                                this.tidal.timeToRand(cycle) < (this.resolveNumber(transform.prob, cycle) ?? 0)
+                            );
                             break;
                         case 'whenmod':
-                            pattern = pattern.map(event => ({
-                                ...this.tidal.deepClone(event),
-                                whenmodTransform: { n: transform.n, offset: transform.offset, fn: transform.fn }
-                            }));
+                            pattern = this.applyWhen(pattern, transform.fn, cycle =>
+                                ((cycle % transform.n) + transform.n) % transform.n === transform.offset
+                            );
+                            break;
+                        case 'euclid':
+                            pattern = this.applyEuclid(pattern, transform);
+                            break;
+                        case 'chunk':
+                            pattern = this.applyChunk(pattern, transform);
+                            break;
+                        case 'iter':
+                            pattern = pattern.iter(transform.value);
+                            break;
+                        case 'palindrome':
+                            pattern = pattern.palindrome();
+                            break;
+                        case 'ply':
+                            pattern = pattern.ply(transform.value);
+                            break;
+                        case 'linger':
+                            pattern = pattern.linger(transform.value);
+                            break;
+                        case 'off':
+                            pattern = Pattern.stack([
+                                pattern,
+                                this.applyFunction(pattern.late(transform.value), transform.fn)
+                            ]);
+                            break;
+                        case 'inside':
+                            pattern = this.applyFunction(pattern.slow(transform.value), transform.fn).fast(transform.value);
+                            break;
+                        case 'compress':
+                            pattern = pattern.compress(transform.start, transform.end);
+                            break;
+                        case 'zoom':
+                            pattern = pattern.zoom(transform.start, transform.end);
                             break;
+                        case 'within':
+                            pattern = this.applyWithin(
+                                pattern,
+                                this.applyFunction(pattern, transform.fn),
+                                transform.start,
+                                transform.end
+                            );
+                            break;
+                        case 'chop':
+                            pattern = pattern.chop(transform.value);
+                            break;
+                        case 'striate':
+                            pattern = pattern.striate(transform.value);
+                            break;
+                        case 'slice':
+                            pattern = pattern.slice(transform.value, transform.indexPattern);
+                            break;
+                        case 'splice':
+                            pattern = pattern.splice(transform.value, transform.indexPattern);
+                            break;
+                        case 'arp':
+                            pattern = this.applyArp(pattern, transform.modePattern);
+                            break;
+                        case 'randslice': {
+                            const n = transform.value;
+                            pattern = pattern.withEvent(event => {
+                                const slice = Math.floor(this.tidal.timeToRand(event.time.valueOf()) * n);
+                                return Pattern.withPlayRange(event, slice / n, (slice + 1) / n);
+                            });
+                            break;
+                        }
                         default:
                             console.warn('Unknown transform type:', transform.type);
                     }
@@ -2165,34 +5212,44 @@ class PatternBuilder {
                 }
             }
             
-            // Apply effects to all events
-            pattern = pattern.map(event => ({
-                ...this.tidal.deepClone(event),
-                gain: this.effects.gain ?? event.gain,
-                pan: this.effects.pan ?? event.pan,
-                effects: { ...event.effects, ...this.effects }
-            }));
+            // Apply effects to all events, sampling patterned effects at each onset
+            const fixedEffects = { ...this.effects };
+            const effectPatterns = { ...this.effectPatterns };
+            if (playRangeFolded) {
+                // The slices already carry their own begin, end and speed
+                for (const key of ['begin', 'end', 'speed']) {
+                    delete fixedEffects[key];
+                    delete effectPatterns[key];
+                }
+            }
             
-            return pattern;
+            return pattern.withEvent(event => {
+                const effects = this.applyEffectPatterns({ ...event.effects, ...fixedEffects }, event.time, effectPatterns);
+                return {
+                    ...event,
+                    gain: effects.gain ?? event.gain,
+                    pan: effects.pan ?? event.pan,
+                    effects
+                };
+            });
         } catch (error) {
             console.error('Error in applyTransforms:', error);
-            return this.pattern || [];
+            return this.pattern;
         }
     }
     
     /**
      * Starts playing the pattern
-     * Processes all transforms and schedules the pattern for playback
+     * The scheduler queries the processed pattern one cycle at a time
      */
     play() {
         try {
             if (this.pattern) {
-                const finalPattern = this.applyTransforms();
-                if (finalPattern.length > 0) {
-                    this.tidal.schedulePattern(finalPattern, this.channelId);
-                } else {
-                    console.warn('No events to play in pattern');
+                const pattern = this.applyTransforms();
+                if (pattern.query(0, 1).length === 0) {
+                    console.warn('No events in the first cycle of pattern');
                 }
+                this.tidal.schedulePattern(pattern, this.channelId);
             } else {
                 console.warn('No pattern to play');
             }
@@ -2205,5 +5262,5 @@ class PatternBuilder {
 
 // Export for use in modules or direct inclusion
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TidalJS, PatternBuilder };
+    module.exports = { TidalJS, PatternBuilder, Pattern, Fraction };
 }
\ No newline at end of file